@@ -137,6 +137,108 @@
         }
     };
 
+    // ===== HTML Escaping =====
+    const htmlEscapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => htmlEscapes[char]);
+    }
+
+    function hasOwn(object, key) {
+        return Object.prototype.hasOwnProperty.call(object, key);
+    }
+
+    // ===== Path Utilities =====
+    // 'cart.items[0].qty' -> ['cart', 'items', '0', 'qty']
+    function parsePath(path) {
+        return String(path).replace(/\[(['"]?)(.*?)\1\]/g, '.$2').split('.').filter(Boolean);
+    }
+
+    function getPath(object, segments) {
+        return segments.reduce((value, key) => value == null ? undefined : value[key], object);
+    }
+
+    // Returns a copy of object with the value at segments replaced, cloning each level on the way down
+    function setPath(object, segments, value) {
+        if (segments.length === 0) return value;
+
+        const [key, ...rest] = segments;
+        if (key === '__proto__' || key === 'constructor' || key === 'prototype') throw new Error(`Invalid path segment: ${key}`);
+
+        const base = object !== null && typeof object === 'object' ? object : /^\d+$/.test(key) ? [] : {};
+        const copy = Array.isArray(base) ? [...base] : { ...base };
+        copy[key] = setPath(base[key], rest, value);
+        return copy;
+    }
+
+    // Structural equality for plain objects and arrays; anything else compares by identity
+    function isEqual(a, b) {
+        if (Object.is(a, b)) return true;
+
+        const isPlain = value => {
+            if (Array.isArray(value)) return true;
+            if (value === null || typeof value !== 'object') return false;
+            const prototype = Object.getPrototypeOf(value);
+            return prototype === null || Object.getPrototypeOf(prototype) === null;
+        };
+        if (!isPlain(a) || !isPlain(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && isEqual(a[key], b[key]));
+    }
+
+    // ===== IndexedDB =====
+    // One object store per database, opened once and shared by every caller
+    const idbConnections = new Map();
+
+    function idbRequest(databaseName, storeName, mode, operation) {
+        if (!idbConnections.has(databaseName)) {
+            idbConnections.set(databaseName, new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }));
+        }
+
+        return idbConnections.get(databaseName).then(db => new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+
+    // ===== Configuration =====
+    const config = {
+        // CSP mode runs scripts through <script nonce> elements instead of eval
+        csp: false,
+        // ttl is in milliseconds; 0 keeps entries until they are evicted
+        cache: { maxEntries: 100, maxBytes: 5 * 1024 * 1024, ttl: 0, staleWhileRevalidate: true },
+        // Persistent copies of fetched files for offline use; storage is 'cache' (Cache Storage) or 'indexeddb'
+        offline: { enabled: false, storage: 'cache', name: 'html-components-offline' },
+        // Applied to every request; timeout and backoff are in milliseconds (timeout 0 = none)
+        fetch: { timeout: 30000, retries: 0, backoff: 300, headers: {}, credentials: 'same-origin', baseURL: '' },
+        // Deferred components and data-src images; placeholder is markup or a '#id' of a <template>
+        lazy: { rootMargin: '200px', idleTimeout: 2000, placeholder: '<div class="hc-placeholder" aria-busy="true"></div>' },
+        // Component paths shown while a component loads / after it fails (data-loading / data-error
+        // override them). The loading template waits loadingDelay ms, then stays at least loadingMinimum ms.
+        loadingTemplate: null,
+        errorTemplate: null,
+        loadingDelay: 200,
+        loadingMinimum: 400,
+        nonce: (document.currentScript && document.currentScript.nonce) || ''
+    };
+
+    function configure(options = {}) {
+        Object.entries(options).forEach(([key, value]) => {
+            const merge = value && typeof value === 'object' && !Array.isArray(value) && config[key] && typeof config[key] === 'object';
+            config[key] = merge ? { ...config[key], ...value } : value;
+        });
+        logger.log('Configuration updated', options, 'CONFIG');
+        return { ...config };
+    }
+
     // ===== Notification System =====
     const notificationSystem = {
         container: null,
@@ -183,6 +285,10 @@
 
         show: function(type, title, message, details = null, suggestions = []) {
             this.init();
+            title = escapeHTML(title);
+            message = escapeHTML(message);
+            details = details ? escapeHTML(details) : null;
+            suggestions = suggestions.map(escapeHTML);
             const notification = this.getNotification();
 
             const colors = {
@@ -205,7 +311,7 @@
             notification.innerHTML = `
                 <div style="background: ${c.bg}; padding: 12px 16px; display: flex; justify-content: space-between; align-items: center;">
                     <strong style="color: ${c.text}; margin: 0; font-size: 14px;">${title}</strong>
-                    <button onclick="this.parentElement.parentElement.remove(); window.HTMLComponents._checkNotificationContainer()" 
+                    <button data-notification-close
                             style="background: none; border: none; font-size: 18px; cursor: pointer; color: ${c.text}; padding: 0; line-height: 1;">×</button>
                 </div>
                 <div style="padding: 16px;">
@@ -215,6 +321,10 @@
                 </div>
             `;
 
+            notification.querySelector('[data-notification-close]').addEventListener('click', () => {
+                notification.remove();
+                this.checkContainerRemoval();
+            });
             this.container.appendChild(notification);
 
             if (type !== 'error') {
@@ -246,64 +356,397 @@
     };
 
     // ===== Caching System =====
-    const pageCache = {
-        enabled: true,
-        cache: new Map(),
+    // Both caches are LRU maps bounded by config.cache.maxEntries / maxBytes. Entries older than
+    // their TTL are stale: they count as misses unless the caller accepts stale content.
+    const textEncoder = typeof TextEncoder === 'function' ? new TextEncoder() : null;
+
+    function createCache(label) {
+        return {
+            enabled: true,
+            cache: new Map(),
+            bytes: 0,
+            counters: { hits: 0, misses: 0, stale: 0, evictions: 0, revalidations: 0 },
+
+            set: function(key, content, options = {}) {
+                if (!this.enabled) return;
+                this.delete(key);
+
+                const size = textEncoder ? textEncoder.encode(content).length : String(content).length;
+                this.cache.set(key, {
+                    content,
+                    size,
+                    timestamp: Date.now(),
+                    ttl: options.ttl ?? config.cache.ttl,
+                    etag: options.etag || null,
+                    lastModified: options.lastModified || null
+                });
+                this.bytes += size;
+                this.evict();
+                logger.log(`${label} cached:`, key, 'CACHE');
+            },
+
+            get: function(key, options = {}) {
+                if (!this.has(key, options)) {
+                    if (this.enabled) this.counters.misses++;
+                    return null;
+                }
+
+                // Map order doubles as recency order: the least recently used entry comes first
+                const entry = this.cache.get(key);
+                this.cache.delete(key);
+                this.cache.set(key, entry);
+
+                this.counters[this.isStale(key) ? 'stale' : 'hits']++;
+                logger.success(`${label} loaded from cache:`, key, 'CACHE');
+                return entry.content;
+            },
+
+            has: function(key, options = {}) {
+                return this.enabled && this.cache.has(key) && (options.allowStale || !this.isStale(key));
+            },
+
+            entry: function(key) {
+                return this.cache.get(key) || null;
+            },
+
+            isStale: function(key) {
+                const entry = this.cache.get(key);
+                return Boolean(entry && entry.ttl > 0 && Date.now() - entry.timestamp > entry.ttl);
+            },
+
+            // Marks an entry fresh again, e.g. after the server answered 304 Not Modified
+            touch: function(key) {
+                const entry = this.cache.get(key);
+                if (entry) entry.timestamp = Date.now();
+            },
+
+            delete: function(key) {
+                const entry = this.cache.get(key);
+                if (!entry) return false;
+                this.bytes -= entry.size;
+                return this.cache.delete(key);
+            },
+
+            evict: function() {
+                const { maxEntries, maxBytes } = config.cache;
+                for (const key of this.cache.keys()) {
+                    if (this.cache.size <= maxEntries && this.bytes <= maxBytes) break;
+                    this.delete(key);
+                    this.counters.evictions++;
+                    logger.log(`${label} evicted from cache:`, key, 'CACHE');
+                }
+            },
+
+            clear: function() {
+                this.cache.clear();
+                this.bytes = 0;
+                logger.info(`${label} cache cleared`, null, 'CACHE');
+            },
+
+            stats: function() {
+                const { hits, misses, stale } = this.counters;
+                const lookups = hits + misses + stale;
+                return {
+                    ...this.counters,
+                    entries: this.cache.size,
+                    bytes: this.bytes,
+                    hitRate: lookups ? (hits + stale) / lookups : 0
+                };
+            },
+
+            enable: function() { this.enabled = true; logger.info(`${label} caching enabled`, null, 'CACHE'); },
+            disable: function() { this.enabled = false; logger.info(`${label} caching disabled`, null, 'CACHE'); }
+        };
+    }
+
+    const pageCache = createCache('Page');
+
+    // Holds component templates as fetched (before props are applied), plus CSS text
+    const fileCache = createCache('File');
+
+    // ===== Network =====
+    // Every file the library fetches goes through network.fetch, which applies config.fetch
+    // (base URL, headers, credentials, timeout, retries with exponential backoff) and interceptors.
+    const network = {
+        interceptors: { request: [], response: [] },
+
+        // Request interceptors get { url, options } and may return a changed copy (or a promise of one);
+        // response interceptors get (response, request) and may return a replacement response
+        intercept: function(type, interceptor) {
+            this.interceptors[type].push(interceptor);
+            return () => {
+                const index = this.interceptors[type].indexOf(interceptor);
+                if (index !== -1) this.interceptors[type].splice(index, 1);
+            };
+        },
+
+        resolve: function(url) {
+            const base = config.fetch.baseURL;
+            if (!base || /^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) return url;
+            return new URL(url, new URL(base, document.baseURI)).href;
+        },
+
+        fetch: function(url, options = {}) {
+            const settings = config.fetch;
+            const request = {
+                url: this.resolve(url),
+                options: { credentials: settings.credentials, ...options, headers: { ...settings.headers, ...options.headers } }
+            };
+
+            const intercepted = this.interceptors.request.reduce(
+                (pending, interceptor) => pending.then(current => Promise.resolve(interceptor(current)).then(result => result || current)),
+                Promise.resolve(request)
+            );
+
+            return intercepted.then(finalRequest => this.attempt(finalRequest, 0).then(response =>
+                this.interceptors.response.reduce(
+                    (pending, interceptor) => pending.then(current => Promise.resolve(interceptor(current, finalRequest)).then(result => result || current)),
+                    Promise.resolve(response)
+                )
+            ));
+        },
+
+        // Network errors, timeouts, 5xx and 429 responses are retried; aborts never are
+        attempt: function(request, attempt) {
+            const { timeout, retries, backoff } = config.fetch;
+            const { signal, ...options } = request.options;
+            if (signal && signal.aborted) return Promise.reject(this.abortError());
+
+            const controller = new AbortController();
+            const abort = () => controller.abort();
+            let timedOut = false;
+            const timer = timeout > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout) : null;
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+
+            const cleanup = () => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', abort);
+            };
+            const retry = error => {
+                if ((signal && signal.aborted) || attempt >= retries) throw error;
+                logger.warn(`Retrying ${request.url} (${attempt + 1}/${retries})`, error, 'NETWORK');
+                return new Promise(resolve => setTimeout(resolve, backoff * 2 ** attempt))
+                    .then(() => this.attempt(request, attempt + 1));
+            };
+
+            return fetch(request.url, { ...options, signal: controller.signal }).then(response => {
+                cleanup();
+                if ((response.status >= 500 || response.status === 429) && attempt < retries) {
+                    return retry(new Error(`HTTP ${response.status}: ${response.statusText}`));
+                }
+                return response;
+            }, error => {
+                cleanup();
+                if (signal && signal.aborted) throw this.abortError();
+                return retry(timedOut ? new Error(`Request timed out after ${timeout}ms: ${request.url}`) : error);
+            });
+        },
+
+        abortError: function() {
+            const error = new Error('The request was aborted');
+            error.name = 'AbortError';
+            return error;
+        },
+
+        // Lets one caller stop waiting for a shared promise without cancelling it for the others
+        abortable: function(promise, signal) {
+            if (!signal) return promise;
+            return new Promise((resolve, reject) => {
+                const abort = () => reject(this.abortError());
+                if (signal.aborted) return abort();
+                signal.addEventListener('abort', abort, { once: true });
+                promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+            });
+        }
+    };
+
+    // ===== Offline Cache =====
+    // Opt-in persistent copies of fetched components, CSS and scripts, kept in Cache Storage or
+    // IndexedDB. Every successful fetch refreshes the copy; when a request fails the copy is used.
+    const offlineCache = {
+        enabled: function() {
+            return config.offline.enabled && this.available();
+        },
+
+        available: function() {
+            return config.offline.storage === 'indexeddb' ? typeof indexedDB !== 'undefined' : typeof caches !== 'undefined';
+        },
 
-        set: function(key, content) {
-            if (this.enabled) {
-                this.cache.set(key, { content, timestamp: Date.now() });
-                logger.log('Page cached:', key, 'CACHE');
+        get: function(url) {
+            if (!this.available()) return Promise.resolve(null);
+            if (config.offline.storage === 'indexeddb') {
+                return idbRequest(config.offline.name, 'files', 'readonly', store => store.get(url))
+                    .then(record => record ? record.text : null);
             }
+            return caches.open(config.offline.name)
+                .then(cache => cache.match(url))
+                .then(response => response ? response.text() : null);
         },
 
-        get: function(key) {
-            if (!this.enabled) return null;
-            const cached = this.cache.get(key);
-            if (cached) {
-                logger.success('Page loaded from cache:', key, 'CACHE');
-                return cached.content;
+        put: function(url, text) {
+            if (!this.available()) return Promise.reject(new Error(`Offline storage "${config.offline.storage}" is not available`));
+            if (config.offline.storage === 'indexeddb') {
+                return idbRequest(config.offline.name, 'files', 'readwrite', store => store.put({ text, time: Date.now() }, url));
             }
-            return null;
+            return caches.open(config.offline.name).then(cache => cache.put(url, new Response(text)));
+        },
+
+        // Called after every successful fetch; failures only cost the offline copy
+        store: function(url, text) {
+            if (!this.enabled()) return;
+            this.put(url, text).catch(error => logger.warn(`Could not store offline copy of ${url}`, error, 'OFFLINE'));
+        },
+
+        // Resolves with the stored copy of url, or rejects with the original error when there is none
+        fallback: function(url, error) {
+            if (!this.enabled()) return Promise.reject(error);
+            return this.get(url).then(text => {
+                if (text === null) throw error;
+                logger.warn(`Request failed, using offline copy: ${url}`, error, 'OFFLINE');
+                return text;
+            }, () => { throw error; });
+        },
+
+        // Accepts a list of URLs or the URL of a JSON manifest: an array, or { "files": [...] }
+        precache: function(filesOrManifest) {
+            const files = typeof filesOrManifest === 'string'
+                ? network.fetch(filesOrManifest).then(response => response.json()).then(manifest => Array.isArray(manifest) ? manifest : manifest.files || [])
+                : Promise.resolve(filesOrManifest);
+
+            return files.then(urls => Promise.all(urls.map(url => network.fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.text();
+                })
+                .then(text => this.put(url, text))
+                .then(() => ({ url, ok: true }), error => {
+                    logger.warn(`Could not precache ${url}`, error, 'OFFLINE');
+                    return { url, ok: false, error };
+                })
+            ))).then(results => {
+                logger.log(`Precached ${results.filter(result => result.ok).length}/${results.length} file(s)`, null, 'OFFLINE');
+                return results;
+            });
         },
 
         clear: function() {
-            this.cache.clear();
-            logger.info('Page cache cleared', null, 'CACHE');
+            if (!this.available()) return Promise.resolve();
+            if (config.offline.storage === 'indexeddb') {
+                return idbRequest(config.offline.name, 'files', 'readwrite', store => store.clear());
+            }
+            return caches.delete(config.offline.name);
         },
 
-        enable: function() { this.enabled = true; logger.info('Page caching enabled', null, 'CACHE'); },
-        disable: function() { this.enabled = false; logger.info('Page caching disabled', null, 'CACHE'); }
+        // Source for an optional service worker that shares the Cache Storage copy: network first,
+        // stored response when offline. Save it as e.g. /sw.js and register it from the page.
+        serviceWorkerScript: function(files = []) {
+            return [
+                `const CACHE = ${JSON.stringify(config.offline.name)};`,
+                `const FILES = ${JSON.stringify(files)};`,
+                '',
+                "self.addEventListener('install', event => event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(FILES))));",
+                '',
+                "self.addEventListener('fetch', event => {",
+                "    if (event.request.method !== 'GET' || new URL(event.request.url).origin !== location.origin) return;",
+                '    event.respondWith(fetch(event.request).then(response => {',
+                '        if (response.ok) {',
+                '            const copy = response.clone();',
+                '            caches.open(CACHE).then(cache => cache.put(event.request, copy));',
+                '        }',
+                '        return response;',
+                '    }).catch(() => caches.match(event.request).then(cached => cached || Response.error())));',
+                '});',
+                ''
+            ].join('\n');
+        }
     };
 
-    const fileCache = {
-        enabled: true,
-        cache: new Map(),
-
-        set: function(key, content) {
-            if (this.enabled) {
-                this.cache.set(key, { content, timestamp: Date.now() });
-                logger.log('File cached:', key, 'CACHE');
+    // ===== Lazy Loading =====
+    // Defers a load until its element is visible, the browser is idle, or the user interacts with it.
+    // Pending loads are cancelled when the element is removed or loaded some other way.
+    const lazyLoader = {
+        observers: new Map(),
+        triggers: new WeakMap(),
+        pending: new WeakMap(),
+        interactionEvents: ['pointerenter', 'pointerdown', 'focusin', 'touchstart'],
+
+        // Resolves with load()'s result once the strategy fires
+        defer: function(element, strategy, load, options = {}) {
+            const watch = { visible: this.whenVisible, idle: this.whenIdle, interaction: this.onInteraction }[strategy];
+            if (!watch) {
+                logger.warn(`Unknown load strategy "${strategy}", loading now`, null, 'LAZY');
+                return load();
             }
+
+            this.cancel(element);
+            return new Promise(resolve => {
+                const stop = watch.call(this, element, () => {
+                    this.cancel(element);
+                    logger.log(`Lazy load triggered (${strategy})`, element, 'LAZY');
+                    resolve(load());
+                }, options);
+                this.pending.set(element, stop);
+                element.setAttribute('data-load-pending', strategy);
+                cleanupRegistry.register(element, () => this.cancel(element));
+            });
         },
 
-        get: function(key) {
-            if (!this.enabled) return null;
-            const cached = this.cache.get(key);
-            if (cached) {
-                logger.success('File loaded from cache:', key, 'CACHE');
-                return cached.content;
+        cancel: function(element) {
+            const stop = this.pending.get(element);
+            if (!stop) return;
+            this.pending.delete(element);
+            element.removeAttribute('data-load-pending');
+            stop();
+        },
+
+        // Replaces the element's children until it loads; they are kept as slot content
+        placeholder: function(element, source) {
+            captureSlotContent(element);
+            const markup = source !== undefined ? source : element.getAttribute('data-placeholder') || config.lazy.placeholder;
+            const template = markup && markup.startsWith('#') && document.querySelector(markup);
+            if (template && template.content) element.replaceChildren(template.content.cloneNode(true));
+            else element.innerHTML = markup || '';
+        },
+
+        whenVisible: function(element, trigger, options) {
+            if (typeof IntersectionObserver === 'undefined') return this.whenIdle(element, trigger);
+
+            const observer = this.observer(options.rootMargin || element.getAttribute('data-root-margin') || config.lazy.rootMargin);
+            this.triggers.set(element, trigger);
+            observer.observe(element);
+            return () => {
+                observer.unobserve(element);
+                this.triggers.delete(element);
+            };
+        },
+
+        // One observer per rootMargin
+        observer: function(rootMargin) {
+            if (!this.observers.has(rootMargin)) {
+                this.observers.set(rootMargin, new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        const trigger = entry.isIntersecting && this.triggers.get(entry.target);
+                        if (trigger) trigger();
+                    });
+                }, { rootMargin }));
             }
-            return null;
+            return this.observers.get(rootMargin);
         },
 
-        clear: function() {
-            this.cache.clear();
-            logger.info('File cache cleared', null, 'CACHE');
+        whenIdle: function(element, trigger) {
+            if (typeof requestIdleCallback === 'function') {
+                const id = requestIdleCallback(trigger, { timeout: config.lazy.idleTimeout });
+                return () => cancelIdleCallback(id);
+            }
+            const id = setTimeout(trigger, 1);
+            return () => clearTimeout(id);
         },
 
-        enable: function() { this.enabled = true; logger.info('File caching enabled', null, 'CACHE'); },
-        disable: function() { this.enabled = false; logger.info('File caching disabled', null, 'CACHE'); }
+        onInteraction: function(element, trigger) {
+            const handler = () => trigger();
+            this.interactionEvents.forEach(type => element.addEventListener(type, handler, { passive: true }));
+            return () => this.interactionEvents.forEach(type => element.removeEventListener(type, handler));
+        }
     };
 
     // ===== Image Loading =====
@@ -338,6 +781,22 @@
             });
         },
 
+        // <img data-src> loads once its data-load strategy is met (visible by default); the src it
+        // starts with stays as the placeholder
+        lazy: function(root) {
+            root.querySelectorAll('img[data-src]').forEach(img => {
+                if (lazyLoader.pending.has(img)) return;
+                lazyLoader.defer(img, img.getAttribute('data-load') || 'visible', () => {
+                    const src = img.getAttribute('data-src');
+                    return this.load(src).then(() => {
+                        img.src = src;
+                        img.removeAttribute('data-src');
+                        return img;
+                    }, () => null);
+                });
+            });
+        },
+
         preload: function(sources) {
             logger.log('Preloading images:', sources.length, 'IMAGE');
             const promises = sources.map(src => this.load(src).catch(() => null));
@@ -349,68 +808,139 @@
         }
     };
 
-    // ===== Component Loader =====
-    const loadingComponents = new Set();
+    // ===== Component Registry =====
+    const componentRegistry = {
+        components: new Map(),
+        inflight: new Map(),
 
-    function loadComponentIntoElement(element, componentPath, props = {}) {
-        if (loadingComponents.has(componentPath)) {
-            logger.warn('Component already loading - skipping to prevent loop:', componentPath, 'COMPONENT');
-            return Promise.resolve();
-        }
+        register: function(name, source) {
+            const entry = typeof source === 'string' ? { html: source } : { url: source && source.url };
+            if (entry.html === undefined && !entry.url) {
+                logger.warn(`Component "${name}" needs HTML or a { url } to register`, null, 'REGISTRY');
+                return;
+            }
+            this.components.set(name, entry);
+            logger.log(`Component registered: ${name}`, entry.url ? { url: entry.url } : null, 'REGISTRY');
+        },
 
-        loadingComponents.add(componentPath);
-        logger.startTimer(`load-${componentPath}`, 'COMPONENT');
-        logger.log('Loading component:', componentPath, 'COMPONENT');
+        has: function(name) {
+            return this.components.has(name);
+        },
 
-        const cachedContent = fileCache.get(componentPath);
-        if (cachedContent) {
-            logger.success('Component loaded from file cache:', componentPath, 'COMPONENT');
-            element.innerHTML = processTemplate(cachedContent, props, state);
-            element.setAttribute('data-component-loaded', componentPath);
-            bindEventHandlers(element);
-            return loadNestedComponents(element).then(() => {
-                executeScripts(element);
-                loadingComponents.delete(componentPath);
-                logger.endTimer(`load-${componentPath}`, 'COMPONENT');
-                return cachedContent;
-            });
-        }
+        get: function(name) {
+            return this.components.get(name)?.html;
+        },
 
-        return fetch(componentPath)
-            .then(response => {
-                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                return response.text();
-            })
-            .then(html => {
-                html = processTemplate(html, props);
-                fileCache.set(componentPath, html);
-                element.innerHTML = html;
-                bindEventHandlers(element);
+        // Where a component file is fetched from: its registered url, or the name itself.
+        // Components registered with HTML have none.
+        url: function(name) {
+            const entry = this.components.get(name);
+            return entry ? entry.url : name;
+        },
 
-                return loadNestedComponents(element).then(() => {
-                    executeScripts(element);
-                    loadingComponents.delete(componentPath);
-                    const duration = logger.endTimer(`load-${componentPath}`, 'COMPONENT');
-                    logger.success(`Component loaded: ${componentPath} (${duration?.toFixed(2)}ms)`, null, 'COMPONENT');
-                    return html;
-                });
-            })
-            .catch(error => {
-                loadingComponents.delete(componentPath);
-                logger.error(`Failed to load component "${componentPath}"`, error, 'COMPONENT');
-                element.innerHTML = `<div style="color: red; padding: 1rem; border: 1px solid red; background: #ffe6e6;">
-                    <strong>Component Load Error:</strong> ${componentPath}<br>
-                    <small>${error.message}</small>
-                </div>`;
-                throw error;
+        registerTemplates: function(root) {
+            root.querySelectorAll('template[data-register]').forEach(template => {
+                const name = template.getAttribute('data-register');
+                if (name) this.register(name, template.innerHTML);
             });
-    }
+        },
+
+        // options.signal stops this caller waiting (rejecting with an AbortError)
+        fetch: function(name, options = {}) {
+            const entry = this.components.get(name);
+            if (entry && entry.html !== undefined) return Promise.resolve(entry.html);
+
+            // Component files come from the file cache when possible, keyed by url so aliases share
+            // it; a stale template is served right away and refreshed in the background for the next load
+            const url = this.url(name);
+            const cached = fileCache.get(url, { allowStale: config.cache.staleWhileRevalidate });
+            if (cached !== null) {
+                if (fileCache.isStale(url)) this.revalidate(url);
+                return Promise.resolve(cached);
+            }
+
+            // Instances that load at the same time share one request; aborting one caller
+            // does not cancel it for the others
+            if (!this.inflight.has(url)) this.inflight.set(url, this.request(name, url));
+            return network.abortable(this.inflight.get(url), options.signal);
+        },
+
+        request: function(name, url) {
+            return network.fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.text().then(html => {
+                        fileCache.set(url, html, this.validators(response));
+                        offlineCache.store(url, html);
+                        return html;
+                    });
+                })
+                .catch(error => offlineCache.fallback(url, error))
+                .catch(error => {
+                    const reason = this.has(name) ? `(alias for "${url}") could not be fetched` : 'is not registered and could not be fetched';
+                    throw new Error(`Component "${name}" ${reason}: ${error.message}`);
+                })
+                .finally(() => this.inflight.delete(url));
+        },
+
+        validators: function(response) {
+            return { etag: response.headers.get('ETag'), lastModified: response.headers.get('Last-Modified') };
+        },
+
+        // Conditional request for a stale template: 304 keeps the cached copy, 200 replaces it
+        revalidate: function(url) {
+            if (this.inflight.has(url)) return;
+
+            const cached = fileCache.entry(url);
+            const headers = {};
+            if (cached.etag) headers['If-None-Match'] = cached.etag;
+            if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+            const request = network.fetch(url, { headers })
+                .then(response => {
+                    fileCache.counters.revalidations++;
+                    if (response.status === 304) {
+                        fileCache.touch(url);
+                        return cached.content;
+                    }
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.text().then(html => {
+                        fileCache.set(url, html, this.validators(response));
+                        logger.log('Component template revalidated:', url, 'CACHE');
+                        return html;
+                    });
+                })
+                .catch(error => {
+                    logger.warn(`Could not revalidate ${url}`, error, 'CACHE');
+                    return cached.content;
+                })
+                .finally(() => this.inflight.delete(url));
+
+            this.inflight.set(url, request);
+        }
+    };
+
+    // ===== Component Loader =====
+    // Hosts whose component is still loading, mapped to its path
+    const loadingHosts = new WeakMap();
+    const loadControllers = new WeakMap();
+    let loadCount = 0;
+    const componentContexts = new WeakMap();
+    const slotContents = new WeakMap();
+    // Elements a component's template rendered, mapped to that component's host. Slot content
+    // projected into the component is not in here.
+    const templateOwners = new WeakMap();
 
     function loadNestedComponents(container) {
+        componentRegistry.registerTemplates(container);
+
         const nestedCSS = container.querySelectorAll('[data-css]');
+        const shadowRoot = shadowRootOf(container);
         const cssPromises = Array.from(nestedCSS).map(el => {
             const path = el.getAttribute('data-css');
-            return path ? loadCSS(path).catch(() => null) : Promise.resolve();
+            const host = el.hasAttribute('data-scoped') && closestComponent(el);
+            const options = shadowRoot ? { root: shadowRoot } : host ? { scope: mountedComponents.get(host), owner: host } : {};
+            return path ? loadCSS(path, options).catch(() => null) : Promise.resolve();
         });
 
         const nestedJS = container.querySelectorAll('[data-js]');
@@ -419,15 +949,150 @@
             return path ? HTMLComponents.loadJS(path).catch(() => null) : Promise.resolve();
         });
 
-        const nestedComponents = container.querySelectorAll('[data-component]');
-        const componentPromises = Array.from(nestedComponents).map(el => {
-            const path = el.getAttribute('data-component');
-            return path ? loadComponentIntoElement(el, path).catch(() => null) : Promise.resolve();
-        });
+        const componentPromises = findComponentHosts(container).map(el => loadComponentHost(el, container).catch(() => null));
+        imageLoader.lazy(container);
 
         return Promise.allSettled([...cssPromises, ...jsPromises, ...componentPromises]);
     }
 
+    // Hosts with data-load="visible|idle|interaction" show a placeholder and load later; the
+    // returned promise only covers hosts that load now
+    function loadComponentHost(element, parent = null) {
+        const path = element.getAttribute('data-component');
+        if (!path) return Promise.resolve();
+
+        const load = () => element.hasAttribute('data-fetch')
+            ? dataFetching.load(element, path, getMarkupProps(element, parent), dataFetching.source(element), parent)
+            : loadComponentIntoElement(element, path, getMarkupProps(element, parent));
+        const strategy = element.getAttribute('data-load');
+        if (!strategy || strategy === 'eager') return load();
+
+        lazyLoader.placeholder(element);
+        lazyLoader.defer(element, strategy, load).catch(() => null);
+        return Promise.resolve();
+    }
+
+    // Hosts nested inside another host are slot content: they load once projected into that component
+    function findComponentHosts(container) {
+        return Array.from(container.querySelectorAll('[data-component]')).filter(el => {
+            const owner = el.parentElement && el.parentElement.closest('[data-component]');
+            return !owner || owner === container || !container.contains(owner);
+        });
+    }
+
+    // Props declared on a data-component element: data-props JSON plus data-prop-* attributes.
+    // {{ }} expressions are resolved against the parent component's props/state and global state.
+    // On an element a component template rendered, only the placeholders that template left pending
+    // are; the values it filled in are never evaluated again.
+    function getMarkupProps(element, parent = null) {
+        const context = stateSystem.context(parent ? componentContexts.get(parent) : {});
+        const rendered = templateOwners.has(element);
+        const fill = text => rendered
+            ? text.replace(templateRegions.pending, (match, placeholder) => processTemplate(placeholder, context, {}, { escape: false }))
+            : processTemplate(text, context, {}, { escape: false });
+        const props = {};
+
+        // The loader JSON-encodes the placeholders of a rendered template's data-props up front
+        const json = element.getAttribute('data-props');
+        if (json) {
+            try {
+                Object.assign(props, JSON.parse(json.includes('{{') ? fill(rendered ? json : encodeJSONPlaceholders(json)) : json));
+            } catch (error) {
+                logger.warn('Invalid data-props JSON:', { json, error }, 'COMPONENT');
+            }
+        }
+
+        const whole = rendered ? /^\s*\uE000\{\{([\s\S]+?)\}\}\uE001\s*$/ : /^\s*\{\{([\s\S]+?)\}\}\s*$/;
+        Array.from(element.attributes).forEach(attr => {
+            if (!attr.name.startsWith('data-prop-')) return;
+            const key = attr.name.slice(10).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+            const expression = attr.value.match(whole);
+            if (expression) {
+                props[key] = evaluateExpression(expression[1].trim(), context);
+                return;
+            }
+            const value = attr.value.includes('{{') ? fill(attr.value) : attr.value;
+            try {
+                props[key] = JSON.parse(value);
+            } catch (e) {
+                props[key] = value;
+            }
+        });
+
+        return props;
+    }
+
+    // {{ }} in data-props JSON renders JSON-encoded: escaped text inside string literals, a whole
+    // JSON value anywhere else, so a value can never end the string or add keys. Block tags
+    // ({{if}}, {{each}}) are left as they are.
+    function encodeJSONPlaceholders(json) {
+        let result = '';
+        let inString = false;
+        for (let i = 0; i < json.length; i++) {
+            const char = json[i];
+            const close = json[i + 2] === '{' ? '}}}' : '}}';
+            const end = char === '{' && json[i + 1] === '{' ? json.indexOf(close, i + 2) : -1;
+            if (end !== -1) {
+                const tag = json.slice(i + close.length, end).trim();
+                const block = /^(if\s|else\b|each\s|\/\s*(if|each)$)/.test(tag);
+                result += block ? json.slice(i, end + close.length) : `{{ ${tag} | ${inString ? 'jsonText' : 'jsonValue'} }}`;
+                i = end + close.length - 1;
+                continue;
+            }
+            if (inString && char === '\\') {
+                result += char + (json[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === '"') inString = !inString;
+            result += char;
+        }
+        return result;
+    }
+
+    // Encodes data-props placeholders in a component template before its own template pass fills them
+    function encodePropsAttributes(html) {
+        return html.replace(/(\sdata-props\s*=\s*)("[^"]*"|'[^']*')/g, (match, name, value) => {
+            if (!value.includes('{{')) return match;
+            const quote = value[0];
+            const json = value.slice(1, -1);
+            if (quote === "'") return `${name}'${encodeJSONPlaceholders(json)}'`;
+            return `${name}"${encodeJSONPlaceholders(json.replace(/&quot;/g, '"')).replace(/"/g, '&quot;')}"`;
+        });
+    }
+
+    // ===== Slots =====
+    function captureSlotContent(element) {
+        if (!slotContents.has(element)) slotContents.set(element, Array.from(element.childNodes));
+    }
+
+    function expandSlotPlaceholders(html) {
+        return html.replace(/\{\{\s*slot(?:\s+([\w-]+))?\s*\}\}/g, (match, name) => name ? `<slot name="${name}"></slot>` : '<slot></slot>');
+    }
+
+    function projectSlots(element) {
+        const slots = element.querySelectorAll('slot');
+        // Inside a custom element's shadow root the browser distributes light DOM children itself
+        if (slots.length === 0 || shadowMounts.has(element)) return;
+
+        const named = {};
+        const defaults = [];
+        (slotContents.get(element) || []).forEach(node => {
+            const name = node.nodeType === 1 && node.getAttribute('data-slot');
+            if (name) (named[name] = named[name] || []).push(node);
+            else defaults.push(node);
+        });
+        const hasDefault = defaults.some(node => node.nodeType === 1 || node.textContent.trim());
+
+        slots.forEach(slot => {
+            const name = slot.getAttribute('name');
+            const nodes = name ? named[name] : hasDefault && defaults;
+            // Slots without matching content keep their children as fallback content
+            slot.replaceWith(...(nodes && nodes.length ? nodes : slot.childNodes));
+        });
+        logger.log(`Projected ${slots.length} slot(s)`, null, 'COMPONENT');
+    }
+
     // ===== Event Binding =====
     const supportedEvents = {
         'click': 'data-click', 'dblclick': 'data-dblclick', 'mouseenter': 'data-mouseenter',
@@ -437,6 +1102,9 @@
     };
 
     function bindEventHandlers(container) {
+        bindModels(container);
+        bindDeclarativeState(container);
+
         const selector = Object.values(supportedEvents).map(attr => `[${attr}]`).join(', ');
         const elements = container.querySelectorAll(selector);
 
@@ -446,9 +1114,10 @@
                 const methodName = element.getAttribute(dataAttr);
                 if (methodName && !element.dataset[`bound_${eventType}`]) {
                     element.addEventListener(eventType, function(event) {
-                        if (typeof window[methodName] === 'function') {
+                        const handler = resolveHandler(element, methodName);
+                        if (handler) {
                             try {
-                                window[methodName](event, element);
+                                withComponent(closestComponent(element), () => handler(event, element));
                                 logger.log(`Event ${eventType} executed method: ${methodName}`, null, 'EVENTS');
                             } catch (error) {
                                 logger.error(`Error executing ${methodName}`, error, 'EVENTS');
@@ -469,101 +1138,766 @@
         }
     }
 
-    // ===== Template Processing =====
-    function processTemplate(template, props, state = {}) {
-        const context = { ...props, ...state };
-        if (!context || Object.keys(context).length === 0) return template;
+    // Handlers resolve against the nearest component instance, then outer components, then window
+    function resolveHandler(element, methodName) {
+        for (let node = element; node; node = node.parentElement) {
+            const component = componentInstances.get(node);
+            if (component && typeof component.methods[methodName] === 'function') return component.methods[methodName];
+        }
+        return typeof window[methodName] === 'function' ? window[methodName] : null;
+    }
 
-        let result = template;
-        Object.entries(context).forEach(([key, value]) => {
-            const stringValue = value == null ? '' :
-                typeof value === 'object' ? JSON.stringify(value) : String(value);
-            result = result.replace(new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g'), stringValue);
+    // ===== Form Binding =====
+    function bindModels(container) {
+        let boundCount = 0;
+        container.querySelectorAll('[data-model]').forEach(element => {
+            if (element.dataset.bound_model) return;
+            bindModel(element, element.getAttribute('data-model'));
+            element.dataset.bound_model = 'true';
+            cleanupRegistry.register(element, () => delete element.dataset.bound_model);
+            boundCount++;
         });
-        return result;
+
+        if (boundCount > 0) {
+            logger.log(`Bound ${boundCount} form model(s)`, null, 'STATE');
+        }
     }
 
-    // ===== JavaScript Execution =====
-    let jsEnabled = true;
+    // Two-way binding between a form control and a state value (or a path inside one)
+    function bindModel(element, modelPath) {
+        const [stateName, ...path] = parsePath(modelPath);
+        const type = (element.type || '').toLowerCase();
+        const isCheckbox = type === 'checkbox';
+        const isRadio = type === 'radio';
+        const isMultiple = element.tagName === 'SELECT' && element.multiple;
+        const toNumber = element.hasAttribute('data-model-number') || type === 'number' || type === 'range';
+        const trim = element.hasAttribute('data-model-trim');
+        const eventType = element.hasAttribute('data-model-lazy') || isCheckbox || isRadio || element.tagName === 'SELECT' ? 'change' : 'input';
+
+        const coerce = value => {
+            if (trim && typeof value === 'string') value = value.trim();
+            if (toNumber && value !== '') {
+                const number = parseFloat(value);
+                if (!isNaN(number)) return number;
+            }
+            return value;
+        };
+
+        const read = () => getPath(stateSystem.get(stateName), path);
+
+        const render = () => {
+            const value = read();
+            if (isCheckbox) {
+                element.checked = Array.isArray(value) ? value.map(String).includes(element.value) : !!value;
+            } else if (isRadio) {
+                element.checked = value != null && String(value) === element.value;
+            } else if (isMultiple) {
+                const selected = (Array.isArray(value) ? value : []).map(String);
+                Array.from(element.options).forEach(option => { option.selected = selected.includes(option.value); });
+            } else {
+                // Number/trim coercion must not rewrite what the user is typing ("1." stays "1.")
+                if (isEqual(coerce(element.value), value)) return;
+                const text = value == null ? '' : String(value);
+                if (element.value !== text) element.value = text;
+            }
+        };
+
+        const store = value => {
+            stateSystem.set(stateName, path.length ? setPath(stateSystem.get(stateName), path, value) : value);
+        };
+
+        const write = () => {
+            let value;
+            if (isCheckbox) {
+                const current = read();
+                if (Array.isArray(current)) {
+                    const item = coerce(element.value);
+                    const others = current.filter(v => String(v) !== String(item));
+                    value = element.checked ? [...others, item] : others;
+                } else {
+                    value = element.checked;
+                }
+            } else if (isRadio) {
+                if (!element.checked) return;
+                value = coerce(element.value);
+            } else if (isMultiple) {
+                value = Array.from(element.selectedOptions).map(option => coerce(option.value));
+            } else {
+                value = coerce(element.value);
+            }
+            store(value);
+        };
+
+        // Unknown states start from whatever the control currently holds. A radio group or checkbox
+        // array starts from its checked controls, seeded by whichever control binds first.
+        const group = isRadio || isCheckbox ? findModelGroup(element, modelPath) : [element];
+        if (!stateSystem.has(stateName) || group.length > 1 && read() === undefined) {
+            if (!stateSystem.has(stateName)) stateSystem.create(stateName, path.length ? {} : undefined);
+            if (isRadio) {
+                const checked = group.find(radio => radio.checked);
+                if (checked) store(coerce(checked.value));
+            } else if (isCheckbox && group.length > 1) {
+                store(group.filter(box => box.checked).map(box => coerce(box.value)));
+            } else {
+                write();
+            }
+        }
 
-    function executeScripts(container) {
-        if (!jsEnabled) return;
+        const schedule = () => updateScheduler.schedule(render, element);
+        element.addEventListener(eventType, write);
+        stateSystem.subscribe(stateName, schedule);
+        cleanupRegistry.register(element, () => {
+            element.removeEventListener(eventType, write);
+            stateSystem.unsubscribe(stateName, schedule);
+        });
+        render();
+    }
 
-        const scripts = container.querySelectorAll('script');
-        if (scripts.length === 0) return;
+    // Radios or checkboxes bound to the same model in one form (or document)
+    function findModelGroup(element, modelPath) {
+        const scope = element.form || element.getRootNode();
+        return Array.from(scope.querySelectorAll(`input[type="${element.type}"][data-model]`))
+            .filter(input => input.getAttribute('data-model') === modelPath);
+    }
 
-        logger.log(`Starting to execute ${scripts.length} script(s) in container`, null, 'SCRIPT');
+    // ===== Declarative Bindings =====
+    // data-bind-text, data-bind-attr-*, data-bind-class-*, data-bind-style-* and data-show take an
+    // expression over state (and the enclosing component's props) and re-apply it when a state it reads changes.
+    function bindDeclarativeState(container) {
+        let boundCount = 0;
+        container.querySelectorAll('*').forEach(element => {
+            if (element.dataset.bound_state) return;
+            const attributes = Array.from(element.attributes).filter(attr => attr.name.startsWith('data-bind-') || attr.name === 'data-show');
+            if (attributes.length === 0) return;
+
+            attributes.forEach(attr => bindStateAttribute(element, attr.name, attr.value));
+            element.dataset.bound_state = 'true';
+            // Disposed bindings come back when the element is rendered again (e.g. re-projected slot content)
+            cleanupRegistry.register(element, () => delete element.dataset.bound_state);
+            boundCount += attributes.length;
+        });
 
-        scripts.forEach(script => {
-            logger.log(`Found script: ${script.src ? 'external (' + script.src + ')' : 'inline'}`, null, 'SCRIPT');
-            if (script.src) {
-                const newScript = document.createElement('script');
-                newScript.src = script.src;
-                newScript.async = false;
-                document.head.appendChild(newScript);
-                logger.log(`External script added: ${script.src}`, null, 'SCRIPT');
-            } else if (script.textContent.trim()) {
-                try {
-                    (0, eval)(script.textContent);
-                    logger.log('Inline script executed', null, 'SCRIPT');
-                } catch (e) {
-                    logger.error('Error executing inline script', e, 'SCRIPT');
-                }
-            }
+        if (boundCount > 0) {
+            logger.log(`Bound ${boundCount} declarative state binding(s)`, null, 'STATE');
+        }
+    }
+
+    function bindStateAttribute(element, name, expression) {
+        const apply = createBindingApplier(element, name);
+        if (!apply) {
+            logger.warn(`Unknown binding attribute: ${name}`, null, 'STATE');
+            return;
+        }
+
+        const update = () => apply(evaluateExpression(expression, getBindingContext(element)));
+        const schedule = () => updateScheduler.schedule(update, element);
+        const dependencies = expressionEngine.identifiers(expression);
+
+        dependencies.forEach(dependency => stateSystem.subscribe(dependency, schedule));
+        cleanupRegistry.register(element, () => {
+            dependencies.forEach(dependency => stateSystem.unsubscribe(dependency, schedule));
         });
+        update();
     }
 
-    // ===== CSS Loading =====
-    function loadCSS(href, options = {}) {
-        return new Promise((resolve, reject) => {
-            const existing = document.querySelector(`link[href="${href}"]`);
-            if (existing) {
-                logger.success('CSS already loaded:', href, 'CSS');
-                resolve(existing);
-                return;
+    function getBindingContext(element) {
+        let props = {};
+        for (let node = element; node; node = node.parentElement) {
+            if (componentContexts.has(node)) {
+                props = componentContexts.get(node);
+                break;
             }
+        }
+        return stateSystem.context(props);
+    }
 
-            const cachedCSS = fileCache.get(href);
-            if (cachedCSS) {
-                const style = document.createElement('style');
-                style.setAttribute('data-cached-css', href);
-                style.textContent = cachedCSS;
-                document.head.appendChild(style);
-                logger.success('CSS loaded from cache:', href, 'CSS');
-                resolve(style);
-                return;
-            }
+    function createBindingApplier(element, name) {
+        if (name === 'data-show') {
+            const display = element.style.display === 'none' ? '' : element.style.display;
+            return value => { element.style.display = value ? display : 'none'; };
+        }
 
-            const link = document.createElement('link');
-            link.rel = 'stylesheet';
-            link.href = href;
-            if (options.crossOrigin) link.crossOrigin = options.crossOrigin;
+        const [kind, ...rest] = name.slice('data-bind-'.length).split('-');
+        const target = rest.join('-');
+
+        if (kind === 'text' && !target) {
+            return value => { element.textContent = value == null ? '' : String(value); };
+        }
+        if (kind === 'attr' && target) {
+            return value => {
+                if (value == null || value === false) element.removeAttribute(target);
+                else element.setAttribute(target, value === true ? '' : String(value));
+            };
+        }
+        if (kind === 'class' && target) {
+            return value => element.classList.toggle(target, !!value);
+        }
+        if (kind === 'style' && target) {
+            return value => {
+                if (value == null || value === false) element.style.removeProperty(target);
+                else element.style.setProperty(target, String(value));
+            };
+        }
+        return null;
+    }
+
+    // ===== Cleanup =====
+    // Disposers registered for an element run once it is removed from the document. Disposers
+    // owned by a component host also run when that component is unmounted or reloaded in place.
+    const cleanupRegistry = {
+        disposers: new WeakMap(),
+        owned: new WeakMap(),
+        observer: null,
+
+        register: function(element, dispose) {
+            this.add(this.disposers, element, dispose);
+        },
+
+        own: function(host, dispose) {
+            this.add(this.owned, host, dispose);
+        },
+
+        add: function(map, element, dispose) {
+            if (!map.has(element)) map.set(element, new Set());
+            map.get(element).add(dispose);
+            this.observe();
+        },
+
+        observe: function(root = null) {
+            if (typeof MutationObserver === 'undefined') return;
+            if (!this.observer) {
+                this.observer = new MutationObserver(mutations => {
+                    mutations.forEach(mutation => mutation.removedNodes.forEach(node => {
+                        // Nodes that were moved rather than removed are connected again by now
+                        if (node.nodeType === 1 && !node.isConnected) unmountTree(node);
+                    }));
+                });
+                this.observer.observe(document.documentElement, { childList: true, subtree: true });
+            }
+            // Mutations inside a shadow root never reach the document, so each root is observed too
+            if (root) this.observer.observe(root, { childList: true, subtree: true });
+        },
+
+        dispose: function(root, keepRoot = false) {
+            [root, ...root.querySelectorAll('*')].forEach(element => {
+                this.run(this.owned, element);
+                if (!keepRoot || element !== root) this.run(this.disposers, element);
+            });
+        },
+
+        run: function(map, element) {
+            const disposers = map.get(element);
+            if (!disposers) return;
+            map.delete(element);
+            disposers.forEach(dispose => {
+                try {
+                    dispose();
+                } catch (error) {
+                    logger.error('Cleanup error', error, 'CLEANUP');
+                }
+            });
+        }
+    };
+
+    // ===== Unmounting =====
+    // Mounted component hosts, mapped to their component path
+    const mountedComponents = new WeakMap();
+    // Host whose script, lifecycle hook or event handler is running right now
+    let activeComponent = null;
+
+    function markMounted(element, componentPath) {
+        element.setAttribute('data-component-loaded', componentPath);
+        mountedComponents.set(element, componentPath);
+        cleanupRegistry.observe();
+    }
+
+    function withComponent(host, fn) {
+        const previous = activeComponent;
+        activeComponent = host;
+        try {
+            return fn();
+        } finally {
+            activeComponent = previous;
+        }
+    }
+
+    function closestComponent(node) {
+        for (let element = node.nodeType === 1 ? node : node.parentElement; element; element = element.parentElement) {
+            if (mountedComponents.has(element)) return element;
+        }
+        return null;
+    }
+
+    // Subscriptions, listeners and timers created while a component's code runs are disposed with it
+    function ownByActiveComponent(dispose) {
+        if (activeComponent) cleanupRegistry.own(activeComponent, dispose);
+    }
+
+    function triggerComponentHook(host, hookName, data = {}) {
+        const componentPath = mountedComponents.get(host);
+        const component = componentInstances.get(host);
+        const hook = component && component.definition && component.definition[hookName];
+
+        if (typeof hook === 'function') {
+            try {
+                withComponent(host, () => hook.call(component, host, component.props, component));
+            } catch (error) {
+                logger.error(`Lifecycle hook error: ${componentPath}:${hookName}`, error, 'LIFECYCLE');
+            }
+        }
+        lifecycleHooks.trigger(componentPath, hookName, host, data);
+    }
+
+    // Runs beforeUnmount hooks for every component in the tree, disposes everything registered
+    // inside it, then runs unmounted hooks. keepRoot leaves the root's own element bindings alive
+    // (used when a host is emptied or reloaded rather than removed).
+    function unmountTree(root, keepRoot = false) {
+        const hosts = [root, ...root.querySelectorAll('[data-component-loaded]')].filter(element => mountedComponents.has(element));
+
+        hosts.forEach(host => triggerComponentHook(host, 'beforeUnmount'));
+        cleanupRegistry.dispose(root, keepRoot);
+        hosts.forEach(host => {
+            triggerComponentHook(host, 'unmounted');
+            mountedComponents.delete(host);
+            componentInstances.delete(host);
+        });
+
+        if (hosts.length > 0) logger.log(`Unmounted ${hosts.length} component(s)`, null, 'LIFECYCLE');
+    }
+
+    // ===== JavaScript Execution =====
+    let jsEnabled = true;
+
+    function executeScripts(container, context = {}) {
+        if (!jsEnabled) return;
+
+        // Scripts of nested components have already run when their own load finished
+        const scripts = Array.from(container.querySelectorAll('script')).filter(script => !executedScripts.has(script));
+        let factory = null;
+
+        if (scripts.length > 0) logger.log(`Starting to execute ${scripts.length} script(s) in container`, null, 'SCRIPT');
+
+        scripts.forEach(script => {
+            executedScripts.add(script);
+            logger.log(`Found script: ${script.src ? 'external (' + script.src + ')' : 'inline'}`, null, 'SCRIPT');
+            if (script.src) {
+                const newScript = document.createElement('script');
+                newScript.src = script.src;
+                newScript.async = false;
+                if (config.nonce) newScript.nonce = config.nonce;
+                document.head.appendChild(newScript);
+                logger.log(`External script added: ${script.src}`, null, 'SCRIPT');
+            } else if (script.textContent.trim()) {
+                try {
+                    if (/\bexport\s+default\b/.test(script.textContent)) {
+                        factory = compileComponentScript(script.textContent);
+                    } else {
+                        runInlineScript(script.textContent);
+                    }
+                    logger.log('Inline script executed', null, 'SCRIPT');
+                } catch (e) {
+                    logger.error('Error executing inline script', e, 'SCRIPT');
+                }
+            }
+        });
+
+        const definition = factory || componentDefinitions.get(context.path);
+        if (definition) createComponentInstance(container, context.path, context.props || {}, definition);
+    }
+
+    // Runs code in global scope: indirect eval by default, or an injected <script nonce> in CSP mode
+    function runInlineScript(code) {
+        if (!config.csp) {
+            (0, eval)(code);
+            return;
+        }
+        const script = document.createElement('script');
+        if (config.nonce) script.nonce = config.nonce;
+        script.textContent = code;
+        document.head.appendChild(script);
+        script.remove();
+    }
+
+    // ===== Component Scripts =====
+    const componentDefinitions = new Map();
+    const componentInstances = new WeakMap();
+    const scriptFactories = new Map();
+    const pendingScriptFactories = new Map();
+    const executedScripts = new WeakSet();
+
+    function defineComponent(path, definition) {
+        componentDefinitions.set(path, definition);
+        logger.log(`Component defined: ${path}`, null, 'COMPONENT');
+    }
+
+    // An `export default` script is compiled once into a factory that runs per instance with
+    // element, props and component in scope, so its top-level variables are never shared.
+    function compileComponentScript(code) {
+        if (scriptFactories.has(code)) return scriptFactories.get(code);
+
+        const body = code.replace(/\bexport\s+default\b/, 'return');
+        let factory;
+        if (config.csp) {
+            const key = `script-${scriptFactories.size}`;
+            const script = document.createElement('script');
+            if (config.nonce) script.nonce = config.nonce;
+            script.textContent = `window.HTMLComponents._componentScript(${JSON.stringify(key)}, function(element, props, component) {\n${body}\n});`;
+            document.head.appendChild(script);
+            script.remove();
+            factory = pendingScriptFactories.get(key);
+            pendingScriptFactories.delete(key);
+        } else {
+            factory = (0, eval)(`(function(element, props, component) {\n${body}\n})`);
+        }
+
+        if (typeof factory !== 'function') throw new Error('Component script did not compile');
+        scriptFactories.set(code, factory);
+        return factory;
+    }
+
+    function createComponentInstance(element, path, props, definition) {
+        const component = {
+            element,
+            path,
+            props,
+            data: {},
+            methods: {},
+            emit: (eventName, data) => componentEvents.emit(eventName, data, element),
+
+            // Registered through these helpers, subscriptions and timers end when the component unmounts
+            subscribe: (path, callback) => {
+                stateSystem.subscribe(path, callback);
+                cleanupRegistry.own(element, () => stateSystem.unsubscribe(path, callback));
+            },
+            on: (eventName, callback) => {
+                componentEvents.on(eventName, callback);
+                cleanupRegistry.own(element, () => componentEvents.off(eventName, callback));
+            },
+            setTimeout: (callback, delay, ...args) => {
+                const id = setTimeout(callback, delay, ...args);
+                cleanupRegistry.own(element, () => clearTimeout(id));
+                return id;
+            },
+            setInterval: (callback, delay, ...args) => {
+                const id = setInterval(callback, delay, ...args);
+                cleanupRegistry.own(element, () => clearInterval(id));
+                return id;
+            },
+            onCleanup: dispose => cleanupRegistry.own(element, dispose),
+            refetch: () => dataFetching.refetch(element)
+        };
+
+        try {
+            if (typeof definition === 'function') definition = definition.call(component, element, props, component);
+            definition = definition || {};
+
+            component.data = typeof definition.data === 'function' ? definition.data.call(component, props) : { ...definition.data };
+            Object.entries(definition.methods || {}).forEach(([name, fn]) => {
+                component.methods[name] = fn.bind(component);
+            });
+            component.definition = definition;
+            componentInstances.set(element, component);
+
+            if (typeof definition.mounted === 'function') definition.mounted.call(component, element, props, component);
+            logger.log(`Component instance created: ${path}`, { methods: Object.keys(component.methods) }, 'COMPONENT');
+        } catch (error) {
+            logger.error(`Component script error in ${path}`, error, 'COMPONENT');
+        }
+        return component;
+    }
+
+    // ===== Scoped Styles =====
+    // <style scoped> / <style data-scoped> rules only match elements rendered by their component:
+    // selectors get a per-path attribute ([data-hc-1x2y3z]) that every rendered element carries.
+    // The rewritten stylesheet lives in <head> once per component path while instances are mounted.
+    const scopedStyles = {
+        sheets: new Map(),
+        // Rule blocks whose contents are rules again; other at-rules (@keyframes, @font-face) stay as written
+        groupingRules: /^@(media|supports|container|layer|document)\b/i,
+
+        scopeId: function(componentPath) {
+            // FNV-1a hash: short, stable across reloads and builds
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < componentPath.length; i++) {
+                hash ^= componentPath.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return `data-hc-${(hash >>> 0).toString(36)}`;
+        },
+
+        apply: function(element, componentPath) {
+            // A shadow root already keeps its styles in, so they stay where they are
+            if (shadowRootOf(element)) return;
+            if (!element.querySelector('style[scoped], style[data-scoped], [data-css][data-scoped]')) return;
+
+            const attribute = this.scopeId(componentPath);
+            const styles = Array.from(element.querySelectorAll('style[scoped], style[data-scoped]'));
+            const css = styles.map(style => style.textContent).join('\n');
+            styles.forEach(style => style.remove());
+
+            element.querySelectorAll('*').forEach(node => node.setAttribute(attribute, ''));
+
+            if (css.trim()) {
+                this.acquire(componentPath, () => this.scope(css, attribute), { 'data-scoped-style': componentPath });
+                cleanupRegistry.own(element, () => this.release(componentPath));
+            }
+        },
+
+        // One <style> per key (a component path, or path and stylesheet URL) while any instance holds
+        // it; createCSS only runs when the sheet is added
+        acquire: function(key, createCSS, attributes) {
+            let sheet = this.sheets.get(key);
+            if (!sheet) {
+                const style = document.createElement('style');
+                Object.entries(attributes).forEach(([name, value]) => style.setAttribute(name, value));
+                if (config.nonce) style.nonce = config.nonce;
+                style.textContent = createCSS();
+                document.head.appendChild(style);
+                sheet = { style, count: 0 };
+                this.sheets.set(key, sheet);
+                logger.log('Scoped styles added:', key, 'CSS');
+            }
+            sheet.count++;
+            return sheet.style;
+        },
+
+        release: function(key) {
+            const sheet = this.sheets.get(key);
+            if (!sheet || --sheet.count > 0) return;
+            sheet.style.remove();
+            this.sheets.delete(key);
+            logger.log('Scoped styles removed:', key, 'CSS');
+        },
+
+        // Rewrites every style rule in css so it only matches elements carrying attribute
+        scope: function(css, attribute) {
+            css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+            let output = '';
+            let position = 0;
+
+            while (position < css.length) {
+                const end = this.findStatementEnd(css, position);
+                const prelude = css.slice(position, end).trim();
+
+                if (css[end] !== '{') {
+                    // @import, @charset or trailing text
+                    if (prelude) output += prelude + (css[end] === ';' ? ';' : '') + '\n';
+                    position = end + 1;
+                    continue;
+                }
+
+                const close = this.findBlockEnd(css, end);
+                const body = css.slice(end + 1, close);
+                if (this.groupingRules.test(prelude)) {
+                    output += `${prelude} {\n${this.scope(body, attribute)}}\n`;
+                } else if (prelude.startsWith('@')) {
+                    output += `${prelude} {${body}}\n`;
+                } else {
+                    const selectors = this.splitSelectors(prelude).map(selector => this.scopeSelector(selector, attribute));
+                    output += `${selectors.join(', ')} {${body}}\n`;
+                }
+                position = close + 1;
+            }
+            return output;
+        },
+
+        // Index of the next top-level '{' or ';' (or the end of css)
+        findStatementEnd: function(css, position) {
+            let quote = null;
+            for (let i = position; i < css.length; i++) {
+                const char = css[i];
+                if (quote) {
+                    if (char === '\\') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '{' || char === ';') {
+                    return i;
+                }
+            }
+            return css.length;
+        },
+
+        // Index of the '}' closing the block opened at open
+        findBlockEnd: function(css, open) {
+            let depth = 0;
+            let quote = null;
+            for (let i = open; i < css.length; i++) {
+                const char = css[i];
+                if (quote) {
+                    if (char === '\\') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '{') {
+                    depth++;
+                } else if (char === '}' && --depth === 0) {
+                    return i;
+                }
+            }
+            return css.length;
+        },
+
+        splitSelectors: function(prelude) {
+            const selectors = [];
+            let depth = 0;
+            let start = 0;
+            for (let i = 0; i < prelude.length; i++) {
+                const char = prelude[i];
+                if (char === '(' || char === '[') depth++;
+                else if (char === ')' || char === ']') depth--;
+                else if (char === ',' && depth === 0) {
+                    selectors.push(prelude.slice(start, i).trim());
+                    start = i + 1;
+                }
+            }
+            selectors.push(prelude.slice(start).trim());
+            return selectors.filter(Boolean);
+        },
+
+        // The attribute goes on the last compound selector, before any pseudo-class or pseudo-element:
+        // '.list > li:hover::after' -> '.list > li[data-hc-x]:hover::after'
+        scopeSelector: function(selector, attribute) {
+            let depth = 0;
+            let compoundStart = 0;
+            for (let i = 0; i < selector.length; i++) {
+                const char = selector[i];
+                if (char === '(' || char === '[') depth++;
+                else if (char === ')' || char === ']') depth--;
+                else if (depth === 0 && /[\s>+~]/.test(char)) compoundStart = i + 1;
+            }
+
+            let insertAt = selector.length;
+            depth = 0;
+            for (let i = compoundStart; i < selector.length; i++) {
+                const char = selector[i];
+                if (char === '(' || char === '[') depth++;
+                else if (char === ')' || char === ']') depth--;
+                else if (char === ':' && depth === 0) {
+                    insertAt = i;
+                    break;
+                }
+            }
+            return `${selector.slice(0, insertAt)}[${attribute}]${selector.slice(insertAt)}`;
+        },
+
+        // url() references in an external stylesheet are relative to the stylesheet, not the page
+        rebaseURLs: function(css, href) {
+            const base = new URL(network.resolve(href), document.baseURI);
+            return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, url) =>
+                /^(data:|[a-z][a-z\d+.-]*:|\/\/|#)/i.test(url) ? match : `url(${quote}${new URL(url, base).href}${quote})`);
+        }
+    };
+
+    // ===== CSS Loading =====
+    function loadCSS(href, options = {}) {
+        if (options.scope) return loadScopedCSS(href, options.scope, options.owner || activeComponent);
+
+        // Stylesheets for a component rendered in a shadow root go into that root
+        const root = options.root || document;
+        const target = options.root || document.head;
+
+        return new Promise((resolve, reject) => {
+            const existing = root.querySelector(`link[href="${network.resolve(href)}"]`);
+            if (existing) {
+                logger.success('CSS already loaded:', href, 'CSS');
+                resolve(existing);
+                return;
+            }
+
+            const cachedCSS = fileCache.get(href);
+            if (cachedCSS) {
+                const style = document.createElement('style');
+                style.setAttribute('data-cached-css', href);
+                style.textContent = cachedCSS;
+                target.appendChild(style);
+                logger.success('CSS loaded from cache:', href, 'CSS');
+                resolve(style);
+                return;
+            }
+
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = network.resolve(href);
+            if (options.crossOrigin) link.crossOrigin = options.crossOrigin;
             if (options.media) link.media = options.media;
 
             link.onload = () => {
-                fetch(href).then(r => r.ok ? r.text() : null)
-                    .then(css => { if (css) fileCache.set(href, css); })
+                network.fetch(href).then(r => r.ok ? r.text() : null)
+                    .then(css => {
+                        if (!css) return;
+                        fileCache.set(href, css);
+                        offlineCache.store(href, css);
+                    })
                     .catch(() => {});
                 logger.success('CSS loaded:', href, 'CSS');
                 resolve(link);
             };
 
             link.onerror = () => {
-                logger.error('Failed to load CSS:', href, 'CSS');
-                reject(new Error(`Failed to load CSS: ${href}`));
+                const err = new Error(`Failed to load CSS: ${href}`);
+                offlineCache.fallback(href, err).then(css => {
+                    link.remove();
+                    const style = document.createElement('style');
+                    style.setAttribute('data-cached-css', href);
+                    style.textContent = css;
+                    target.appendChild(style);
+                    resolve(style);
+                }, () => {
+                    logger.error('Failed to load CSS:', href, 'CSS');
+                    reject(err);
+                });
             };
 
-            document.head.appendChild(link);
+            target.appendChild(link);
+        });
+    }
+
+    // Stylesheet whose rules only apply inside the given component (see Scoped Styles). Like inline
+    // scoped styles it is shared between instances and removed when the last owner unmounts;
+    // without an owner host it stays.
+    function loadScopedCSS(href, componentPath, owner = null) {
+        const key = `${componentPath} ${href}`;
+        const hold = css => {
+            if (owner && !mountedComponents.has(owner)) return null;
+            const style = scopedStyles.acquire(key,
+                () => scopedStyles.scope(scopedStyles.rebaseURLs(css, href), scopedStyles.scopeId(componentPath)),
+                { 'data-scoped-css': href, 'data-scope': componentPath });
+            if (owner) cleanupRegistry.own(owner, () => scopedStyles.release(key));
+            return style;
+        };
+        if (scopedStyles.sheets.has(key)) return Promise.resolve(hold());
+
+        const cached = fileCache.get(href);
+        const source = cached !== null ? Promise.resolve(cached) : network.fetch(href)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                return response.text();
+            })
+            .then(css => {
+                fileCache.set(href, css);
+                offlineCache.store(href, css);
+                return css;
+            }, error => offlineCache.fallback(href, error));
+
+        return source.then(css => {
+            const style = hold(css);
+            logger.success('Scoped CSS loaded:', href, 'CSS');
+            return style;
+        }).catch(error => {
+            logger.error('Failed to load CSS:', href, 'CSS');
+            throw new Error(`Failed to load CSS: ${href} (${error.message})`);
         });
     }
 
     // ===== Initialization =====
     document.addEventListener('DOMContentLoaded', function() {
         logger.log('DOM loaded - initializing components', null, 'INIT');
+        componentRegistry.registerTemplates(document);
 
         const jsElements = document.querySelectorAll('[data-js]');
         const cssElements = document.querySelectorAll('[data-css]');
-        const components = document.querySelectorAll('[data-component]');
+        const components = findComponentHosts(document);
 
         const promises = [
             ...Array.from(jsElements).map(el => {
@@ -574,11 +1908,9 @@
                 const path = el.getAttribute('data-css');
                 return path ? loadCSS(path).catch(() => null) : Promise.resolve();
             }),
-            ...Array.from(components).map(el => {
-                const path = el.getAttribute('data-component');
-                return path ? loadComponentIntoElement(el, path) : Promise.resolve();
-            })
+            ...components.map(el => loadComponentHost(el))
         ];
+        imageLoader.lazy(document);
 
         Promise.allSettled(promises).then(() => {
             bindEventHandlers(document.body);
@@ -591,14 +1923,14 @@
         logger.startTimer('build-page', 'PAGE');
         logger.info('Building page from definition', null, 'PAGE');
 
-        const target = document.querySelector(targetElement);
+        const target = typeof targetElement === 'string' ? document.querySelector(targetElement) : targetElement;
         if (!target) return Promise.reject(new Error('Target element not found'));
 
         let components = Array.isArray(pageDef) ? pageDef : pageDef.components || [];
         let meta = !Array.isArray(pageDef) ? { title: pageDef.title, description: pageDef.description, styles: pageDef.styles || [] } : {};
 
         const cacheKey = pageDef.cacheKey || JSON.stringify(components).substring(0, 50);
-        const cached = pageCache.get(cacheKey);
+        const cached = pageDef.cache !== false ? pageCache.get(cacheKey) : null;
         if (cached) {
             target.innerHTML = cached;
             logger.success('Page loaded from cache', null, 'PAGE');
@@ -607,24 +1939,29 @@
 
         if (clearTarget || target.innerHTML.trim() === '') target.innerHTML = '';
 
-        if (meta.styles) meta.styles.forEach(url => loadCSS(url).catch(() => {}));
-        if (meta.title) document.title = meta.title;
-        if (meta.description) {
-            let desc = document.querySelector('meta[name="description"]') || document.createElement('meta');
-            desc.name = 'description'; desc.content = meta.description;
-            if (!desc.parentElement) document.head.appendChild(desc);
-        }
+        applyPageMeta(meta);
 
         const promises = components.map(comp => processComponentDefinition(comp, target));
 
         return Promise.allSettled(promises).then(results => {
             const duration = logger.endTimer('build-page', 'PAGE');
             logger.success(`Page built in ${duration?.toFixed(2)}ms`, null, 'PAGE');
-            pageCache.set(cacheKey, target.innerHTML);
+            // Placeholders of lazy components would never load from the cached markup
+            if (pageDef.cache !== false && !target.querySelector('[data-load-pending]')) pageCache.set(cacheKey, target.innerHTML);
             return results;
         });
     }
 
+    function applyPageMeta(meta) {
+        if (meta.styles) meta.styles.forEach(url => loadCSS(url).catch(() => {}));
+        if (meta.title) document.title = meta.title;
+        if (meta.description) {
+            let desc = document.querySelector('meta[name="description"]') || document.createElement('meta');
+            desc.name = 'description'; desc.content = meta.description;
+            if (!desc.parentElement) document.head.appendChild(desc);
+        }
+    }
+
     function processComponentDefinition(comp, target) {
         if (typeof comp === 'string') return loadComponentIntoElement(target, comp);
 
@@ -632,7 +1969,7 @@
             return Promise.resolve();
         }
 
-        const { name, selector, props = {}, layout, children, css, id } = comp;
+        const { name, selector, props = {}, layout, children, css, id, lazy, fetch: dataSource } = comp;
         let element = target;
 
         if (layout) {
@@ -647,256 +1984,1578 @@
             element = document.querySelector(selector) || target;
         }
 
-        if (css) element.classList.add(...(typeof css === 'string' ? css.split(' ') : css));
-        if (id) element.id = id;
+        if (css) element.classList.add(...(typeof css === 'string' ? css.split(' ') : css));
+        if (id) element.id = id;
+
+        const load = () => {
+            const processedProps = Object.fromEntries(Object.entries(props).map(([k, v]) => [k, typeof v === 'function' ? v() : v]));
+            const promise = dataSource
+                ? dataFetching.load(element, name, processedProps, dataFetching.source(dataSource))
+                : loadComponentIntoElement(element, name, processedProps);
+            return children?.length ? promise.then(() => Promise.allSettled(children.map(c => processComponentDefinition(c, element)))) : promise;
+        };
+
+        // lazy: true loads when visible; a strategy name ('idle', 'interaction') picks another trigger
+        if (lazy) {
+            lazyLoader.placeholder(element, comp.placeholder);
+            lazyLoader.defer(element, lazy === true ? 'visible' : lazy, load, { rootMargin: comp.rootMargin }).catch(() => null);
+            return Promise.resolve();
+        }
+
+        return load();
+    }
+
+    // ===== Router =====
+    const router = {
+        mode: 'hash',
+        base: '',
+        target: 'body',
+        routes: [],
+        current: null,
+        rendered: [],
+        targets: [],
+        guards: { before: new Set(), after: new Set() },
+        navigationId: 0,
+        started: false,
+
+        init: function(options = {}) {
+            this.mode = options.mode === 'history' ? 'history' : 'hash';
+            this.base = (options.base || '').replace(/\/$/, '');
+            this.target = options.target || 'body';
+            this.routes = this.compileRoutes(options.routes || []);
+            this.current = null;
+            this.rendered = [];
+            this.targets = [];
+
+            if (!this.started) {
+                window.addEventListener('popstate', () => { if (this.mode === 'history') this.handleLocationChange(); });
+                window.addEventListener('hashchange', () => { if (this.mode === 'hash') this.handleLocationChange(); });
+                document.addEventListener('click', event => this.handleLinkClick(event));
+                this.started = true;
+            }
+
+            logger.log(`Router started in ${this.mode} mode`, { routes: this.routes.length }, 'ROUTER');
+            return this.resolve(this.getLocationPath(), { fromLocation: true });
+        },
+
+        compileRoutes: function(routes, parentPath = '') {
+            return routes.map(route => {
+                const fullPath = parentPath.replace(/\/$/, '') + '/' + (route.path || '').replace(/^\//, '');
+                const keys = [];
+                const pattern = fullPath.split('/').filter(Boolean).map(segment => {
+                    if (segment === '*') {
+                        keys.push('wildcard');
+                        return '(?:/(.*))?';
+                    }
+                    if (segment.startsWith(':')) {
+                        keys.push(segment.slice(1));
+                        return '/([^/]+)';
+                    }
+                    return '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }).join('');
+
+                return {
+                    ...route,
+                    fullPath,
+                    keys,
+                    exactRegex: new RegExp(`^${pattern}/?$`),
+                    prefixRegex: new RegExp(`^${pattern}(?=/|$)`),
+                    children: route.children ? this.compileRoutes(route.children, fullPath) : []
+                };
+            });
+        },
+
+        match: function(path, routes = this.routes) {
+            for (const route of routes) {
+                if (route.children.length && route.prefixRegex.test(path)) {
+                    const chain = this.match(path, route.children);
+                    if (chain) return [route, ...chain];
+                }
+                if (route.exactRegex.test(path)) return [route];
+            }
+            return null;
+        },
+
+        normalizePath: function(path) {
+            let normalized = String(path || '/').replace(/^#/, '') || '/';
+            if (this.base && normalized.startsWith(this.base)) normalized = normalized.slice(this.base.length);
+            return normalized.startsWith('/') ? normalized : '/' + normalized;
+        },
+
+        getLocationPath: function() {
+            if (this.mode === 'history') {
+                return this.normalizePath(window.location.pathname) + window.location.search;
+            }
+            return this.normalizePath(window.location.hash);
+        },
+
+        updateLocation: function(fullPath, replace) {
+            if (this.mode === 'history') {
+                history[replace ? 'replaceState' : 'pushState']({ path: fullPath }, '', this.base + fullPath);
+            } else if (replace) {
+                history.replaceState(null, '', '#' + fullPath);
+            } else {
+                window.location.hash = fullPath;
+            }
+        },
+
+        navigate: function(path, options = {}) {
+            return this.resolve(this.normalizePath(path), options);
+        },
+
+        back: function() {
+            history.back();
+        },
+
+        beforeEach: function(guard) {
+            this.guards.before.add(guard);
+            return () => this.guards.before.delete(guard);
+        },
+
+        afterEach: function(hook) {
+            this.guards.after.add(hook);
+            return () => this.guards.after.delete(hook);
+        },
+
+        handleLocationChange: function() {
+            const path = this.getLocationPath();
+            if (this.current && path === this.current.fullPath) return;
+            this.resolve(path, { fromLocation: true });
+        },
+
+        handleLinkClick: function(event) {
+            const link = event.target.closest && event.target.closest('a[data-link]');
+            if (!link || event.defaultPrevented || event.button !== 0) return;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            if (link.target && link.target !== '_self') return;
+
+            event.preventDefault();
+            this.navigate(link.getAttribute('data-link') || link.getAttribute('href'));
+        },
+
+        resolve: function(fullPath, options = {}) {
+            const navigationId = ++this.navigationId;
+            const [pathPart, queryString = ''] = fullPath.split('?');
+            const path = '/' + pathPart.split('/').filter(Boolean).join('/');
+            const from = this.current;
+
+            const matched = this.match(path);
+            if (!matched) {
+                logger.warn(`No route matches: ${path}`, null, 'ROUTER');
+                return Promise.resolve(false);
+            }
+
+            const route = matched[matched.length - 1];
+            if (route.redirect) {
+                const redirect = typeof route.redirect === 'function' ? route.redirect(path) : route.redirect;
+                return this.navigate(redirect, { replace: true });
+            }
+
+            const values = path.match(route.exactRegex);
+            const params = {};
+            route.keys.forEach((key, i) => {
+                if (values[i + 1] !== undefined) params[key] = decodeURIComponent(values[i + 1]);
+            });
+
+            const to = { path, fullPath, params, query: Object.fromEntries(new URLSearchParams(queryString)), route, matched };
+
+            return this.runGuards(to, from).then(result => {
+                if (navigationId !== this.navigationId) return false;
+
+                if (result === false) {
+                    logger.log(`Navigation to ${fullPath} cancelled by guard`, null, 'ROUTER');
+                    if (options.fromLocation && from) this.updateLocation(from.fullPath, true);
+                    return false;
+                }
+                if (typeof result === 'string') return this.navigate(result, { replace: true });
+
+                if (!options.fromLocation) this.updateLocation(fullPath, options.replace);
+                this.current = to;
+
+                return this.render(to, navigationId).then(() => {
+                    if (navigationId !== this.navigationId) return false;
+                    this.guards.after.forEach(hook => {
+                        try {
+                            hook(to, from);
+                        } catch (error) {
+                            logger.error('Router afterEach hook error', error, 'ROUTER');
+                        }
+                    });
+                    logger.log(`Navigated to ${fullPath}`, { params, query: to.query }, 'ROUTER');
+                    return true;
+                });
+            });
+        },
+
+        runGuards: function(to, from) {
+            const guards = [...this.guards.before, ...to.matched.map(route => route.beforeEnter).filter(Boolean)];
+
+            return guards.reduce((previous, guard) => previous.then(result => {
+                if (result === false || typeof result === 'string') return result;
+                return guard(to, from);
+            }), Promise.resolve(true)).catch(error => {
+                logger.error(`Navigation guard failed for ${to.fullPath}`, error, 'ROUTER');
+                return false;
+            });
+        },
+
+        render: function(to, navigationId) {
+            const keys = to.matched.map(route => route.fullPath + JSON.stringify(route.keys.map(key => to.params[key])));
+
+            // Parent routes that are already on screen with the same params keep their DOM
+            let depth = 0;
+            while (depth < keys.length - 1 && this.rendered[depth] === keys[depth]) depth++;
+            this.rendered.length = depth;
+            this.targets.length = depth;
+
+            const renderLevel = index => {
+                if (index >= to.matched.length || navigationId !== this.navigationId) return Promise.resolve();
+
+                const route = to.matched[index];
+                const container = index === 0 ? document.querySelector(this.target) : this.targets[index - 1];
+                const target = index > 0 && to.matched[index - 1].page ? container?.querySelector('[data-router-outlet]') : container;
+                if (!target) {
+                    logger.warn(`No router outlet found for route: ${route.fullPath}`, null, 'ROUTER');
+                    return Promise.resolve();
+                }
+
+                this.targets[index] = target;
+                this.rendered[index] = keys[index];
+                if (!route.page) return renderLevel(index + 1);
+
+                return buildPageFromComponents(this.createPage(route, to), target, true).then(() => renderLevel(index + 1));
+            };
+
+            return renderLevel(depth);
+        },
+
+        createPage: function(route, to) {
+            const page = typeof route.page === 'function' ? route.page(to) : route.page;
+            const definition = Array.isArray(page) ? { components: page } : { ...page };
+            const routeProps = { ...to.params, query: to.query };
+
+            definition.components = (definition.components || []).map(comp => this.withRouteProps(comp, routeProps));
+            if (definition.title) definition.title = processTemplate(definition.title, to.params, {}, { escape: false });
+            if (!definition.cacheKey) definition.cacheKey = `route:${to.fullPath}`;
+            if (definition.cache === undefined) definition.cache = false;
+            return definition;
+        },
+
+        withRouteProps: function(comp, routeProps) {
+            if (typeof comp === 'string') return { name: comp, props: routeProps };
+            if (!comp || typeof comp !== 'object') return comp;
+            return {
+                ...comp,
+                props: { ...routeProps, ...comp.props },
+                children: comp.children?.map(child => this.withRouteProps(child, routeProps))
+            };
+        }
+    };
+
+    // ===== Update Scheduler =====
+    // DOM updates caused by state changes are queued and flushed once per microtask
+    // (or animation frame with configure({ updateMode: 'frame' })), so repeated sets render once.
+    const updateScheduler = {
+        queue: new Set(),
+        updatedComponents: new Set(),
+        pending: false,
+
+        // node is the DOM node the job writes to; its component gets an `updated` hook after the flush
+        schedule: function(job, node) {
+            this.queue.add(job);
+            const host = node && closestComponent(node);
+            if (host) this.updatedComponents.add(host);
+            if (this.pending) return;
+            this.pending = true;
+
+            if (config.updateMode === 'frame' && typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(() => this.flush());
+            } else {
+                queueMicrotask(() => this.flush());
+            }
+        },
+
+        flush: function() {
+            this.pending = false;
+            const jobs = [...this.queue];
+            this.queue.clear();
+            jobs.forEach(job => {
+                try {
+                    job();
+                } catch (error) {
+                    logger.error('State update error', error, 'STATE');
+                }
+            });
+
+            const hosts = [...this.updatedComponents];
+            this.updatedComponents.clear();
+            hosts.forEach(host => {
+                if (mountedComponents.has(host)) triggerComponentHook(host, 'updated');
+            });
+        }
+    };
+
+    // ===== Template Regions =====
+    // Placeholders a component's template left for state it did not have are marked while rendering.
+    // Text nodes holding them are indexed by the state names they read, so a state change re-renders
+    // only those nodes. Any other {{ }} in the text (e.g. from props or user data) stays literal.
+    const templateRegions = {
+        pendingOpen: '\uE000',
+        pendingClose: '\uE001',
+        pending: /\uE000([\s\S]*?)\uE001/g,
+        markers: /[\uE000\uE001]/g,
+        // Attributes that evaluate their pending placeholders when the nested component loads
+        pendingAttributes: /^data-(props?|prop-.+|fetch)$/,
+        byState: new Map(),
+        tracked: new WeakSet(),
+
+        scan: function(root) {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.textContent.includes(this.pendingOpen) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+            });
+
+            const nodes = [];
+            let node;
+            while ((node = walker.nextNode())) nodes.push(node);
+            nodes.forEach(textNode => {
+                if (/^(SCRIPT|STYLE)$/.test(textNode.parentNode.nodeName)) textNode.textContent = textNode.textContent.replace(this.markers, '');
+                else this.track(textNode, root);
+            });
+
+            // Other attributes are not reactive; placeholders in them stay as written
+            root.querySelectorAll('*').forEach(element => Array.from(element.attributes).forEach(attr => {
+                if (attr.value.includes(this.pendingOpen) && !this.pendingAttributes.test(attr.name)) attr.value = attr.value.replace(this.markers, '');
+            }));
+        },
+
+        // Regions belong to the component host, so reloading it drops them along with its old nodes
+        track: function(node, host) {
+            if (this.tracked.has(node)) return;
+            this.tracked.add(node);
+
+            // Odd entries are the marked placeholders, even entries literal text
+            const parts = node.textContent.split(this.pending);
+            const dependencies = [...new Set(parts.filter((part, i) => i % 2).flatMap(part => templateEngine.dependencies(part)))];
+            if (dependencies.length === 0) {
+                node.textContent = parts.join('');
+                return;
+            }
+
+            const region = { node, parts, dependencies };
+            region.render = () => this.render(region);
+            dependencies.forEach(name => {
+                if (!this.byState.has(name)) this.byState.set(name, new Set());
+                this.byState.get(name).add(region);
+            });
+            const untrack = () => this.untrack(region);
+            cleanupRegistry.own(host, untrack);
+            if (node.parentElement !== host) cleanupRegistry.register(node.parentElement, untrack);
+
+            this.render(region);
+        },
+
+        untrack: function(region) {
+            region.dependencies.forEach(name => this.byState.get(name)?.delete(region));
+        },
+
+        render: function(region) {
+            const context = {};
+            region.dependencies.forEach(name => {
+                if (stateSystem.has(name)) context[name] = stateSystem.get(name);
+            });
+            // textContent never parses markup, so values are inserted unescaped to avoid double escaping
+            region.node.textContent = region.parts
+                .map((part, i) => i % 2 ? processTemplate(part, {}, context, { escape: false }) : part)
+                .join('');
+        },
+
+        invalidate: function(name) {
+            const regions = this.byState.get(name);
+            if (regions) regions.forEach(region => updateScheduler.schedule(region.render, region.node));
+        }
+    };
+
+    // ===== Reactive State System =====
+    const stateSystem = {
+        states: new Map(),
+        listeners: new Map(),
+        computedStates: new Map(),
+
+        create: function(name, initialValue, options = {}) {
+            this.states.set(name, initialValue);
+            if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+            logger.log(`State created: ${name}`, { value: initialValue }, 'STATE');
+
+            if (options.persist || options.sync) statePersistence.attach(name, options);
+            return name;
+        },
+
+        // Paths address values inside a state: 'user.address.city', 'cart.items[0].qty'
+        get: function(path) {
+            const [name, ...rest] = parsePath(path);
+            const value = this.computedStates.has(name) ? this.resolveComputed(name) : this.states.get(name);
+            return getPath(value, rest);
+        },
+
+        has: function(name) {
+            return this.states.has(name) || this.computedStates.has(name);
+        },
+
+        // Expression context over every state, with props shadowing states of the same name. Computed
+        // states are getters, so only the ones an expression reads are calculated.
+        context: function(props = {}) {
+            const context = { ...Object.fromEntries(this.states), ...props };
+            this.computedStates.forEach((computed, name) => {
+                if (hasOwn(props, name)) return;
+                Object.defineProperty(context, name, { get: () => this.resolveComputed(name), enumerable: true, configurable: true });
+            });
+            return context;
+        },
+
+        set: function(path, value) {
+            const segments = parsePath(path);
+            const [name, ...rest] = segments;
+            if (this.computedStates.has(name)) {
+                logger.warn(`Cannot set computed state: ${name}`, null, 'STATE');
+                return;
+            }
+
+            const oldState = this.states.get(name);
+            const oldValue = getPath(oldState, rest);
+            if (isEqual(oldValue, value)) return;
+
+            const newState = rest.length ? setPath(oldState, rest, value) : value;
+            this.states.set(name, newState);
+            logger.log(`State updated: ${segments.join('.')}`, { oldValue, newValue: value }, 'STATE');
+
+            // Dependent computed states turn dirty before anyone is notified, so listeners of this
+            // state that read them already get their new values
+            const dirtied = this.markComputedDirty(segments);
+            this.notify(segments, newState, oldState);
+            this.refreshComputed(dirtied);
+
+            // Re-render only the template regions that read this state
+            templateRegions.invalidate(name);
+        },
+
+        // Immutable helpers for arrays and values inside state
+        update: function(path, updater) {
+            this.set(path, updater(this.get(path)));
+        },
+
+        push: function(path, ...items) {
+            this.update(path, array => [...(array || []), ...items]);
+        },
+
+        splice: function(path, start, deleteCount, ...items) {
+            let removed = [];
+            this.update(path, array => {
+                const copy = [...(array || [])];
+                removed = copy.splice(start, deleteCount ?? copy.length, ...items);
+                return copy;
+            });
+            return removed;
+        },
+
+        // Listeners are keyed by path pattern; '*' matches any single segment ('user.*', 'todos.*.done').
+        // A listener runs when the changed path and its pattern overlap, i.e. one lies inside the other.
+        notify: function(changed, newState, oldState) {
+            const changedPath = changed.join('.');
+
+            this.listeners.forEach((callbacks, pattern) => {
+                const segments = parsePath(pattern);
+                if (callbacks.size === 0 || !this.pathsOverlap(segments, changed)) return;
+
+                // Exact patterns receive the value at their own path and skip unchanged branches;
+                // wildcard patterns receive the value at the path that changed
+                const target = segments.includes('*') ? changed : segments;
+                const value = getPath(newState, target.slice(1));
+                const oldValue = getPath(oldState, target.slice(1));
+                if (target === segments && isEqual(value, oldValue)) return;
+
+                callbacks.forEach(callback => {
+                    try {
+                        callback(value, oldValue, changedPath);
+                    } catch (error) {
+                        logger.error(`State listener error for ${pattern}`, error, 'STATE');
+                    }
+                });
+            });
+        },
+
+        pathsOverlap: function(pattern, path) {
+            const length = Math.min(pattern.length, path.length);
+            for (let i = 0; i < length; i++) {
+                if (pattern[i] !== '*' && pattern[i] !== path[i]) return false;
+            }
+            return true;
+        },
+
+        subscribe: function(path, callback) {
+            const key = parsePath(path).join('.');
+            // Listeners may subscribe before the state is created
+            if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+            this.listeners.get(key).add(callback);
+            // Observed computed states are kept current, so they need a value to compare changes against
+            this.computedStates.forEach((computed, name) => {
+                if (this.pathsOverlap(parsePath(key), [name])) this.resolveComputed(name);
+            });
+            logger.log(`State listener added: ${key}`, null, 'STATE');
+        },
+
+        unsubscribe: function(path, callback) {
+            const key = parsePath(path).join('.');
+            const listeners = this.listeners.get(key);
+            if (listeners) {
+                listeners.delete(callback);
+                logger.log(`State listener removed: ${key}`, null, 'STATE');
+            }
+        },
+
+        // Computed states are recalculated lazily: a dependency change only marks them dirty, and the
+        // new value is calculated when read. Computed states that something observes are read right
+        // away so their subscribers, bindings and template regions update like normal state.
+        computed: function(name, deps, computeFn) {
+            if (this.states.has(name)) throw new Error(`Cannot define computed state "${name}": a state with that name exists`);
+
+            this.computedStates.set(name, { deps, fn: computeFn, value: undefined, dirty: true, computing: false });
+            const cycle = this.findCycle(name);
+            if (cycle) {
+                this.computedStates.delete(name);
+                throw new Error(`Circular computed state: ${cycle.join(' -> ')}`);
+            }
+            if (!this.listeners.has(name)) this.listeners.set(name, new Set());
+
+            logger.log(`Computed state created: ${name}`, { deps }, 'STATE');
+            // Listeners may have subscribed before it was defined
+            if (this.isObserved(name)) this.resolveComputed(name);
+            // Computed states defined earlier may already read this name
+            this.invalidateComputed([name]);
+            return name;
+        },
+
+        findCycle: function(name, trail = [name]) {
+            for (const dep of this.computedStates.get(trail[trail.length - 1]).deps) {
+                const [root] = parsePath(dep);
+                if (root === name) return [...trail, root];
+                if (this.computedStates.has(root) && !trail.includes(root)) {
+                    const cycle = this.findCycle(name, [...trail, root]);
+                    if (cycle) return cycle;
+                }
+            }
+            return null;
+        },
+
+        resolveComputed: function(name) {
+            const computed = this.computedStates.get(name);
+            if (!computed.dirty) return computed.value;
+            if (computed.computing) throw new Error(`Circular computed state: ${name}`);
+
+            computed.computing = true;
+            try {
+                computed.value = computed.fn(...computed.deps.map(dep => this.get(dep)));
+            } catch (error) {
+                logger.error(`Computed state error for ${name}`, error, 'STATE');
+            } finally {
+                computed.computing = false;
+                computed.dirty = false;
+            }
+            return computed.value;
+        },
+
+        invalidateComputed: function(changed) {
+            this.refreshComputed(this.markComputedDirty(changed));
+        },
+
+        // Marks every computed state downstream of the changed path dirty before any of them is
+        // recalculated, so a computed value never sees a mix of old and new dependencies. Returns
+        // them with the values they held until now.
+        markComputedDirty: function(changed) {
+            const dirtied = [];
+            const visit = segments => {
+                this.computedStates.forEach((computed, name) => {
+                    if (computed.dirty || !computed.deps.some(dep => this.pathsOverlap(parsePath(dep), segments))) return;
+                    computed.dirty = true;
+                    dirtied.push({ name, oldValue: computed.value });
+                    visit([name]);
+                });
+            };
+            visit(changed);
+            return dirtied;
+        },
+
+        // Recalculates the observed ones among dirtied computed states and notifies their listeners
+        refreshComputed: function(dirtied) {
+            dirtied.forEach(({ name, oldValue }) => {
+                if (!this.isObserved(name)) return;
+
+                const value = this.resolveComputed(name);
+                if (isEqual(value, oldValue)) return;
+
+                logger.log(`Computed state updated: ${name}`, { oldValue, newValue: value }, 'STATE');
+                this.notify([name], value, oldValue);
+                templateRegions.invalidate(name);
+            });
+        },
+
+        isObserved: function(name) {
+            if (templateRegions.byState.get(name)?.size) return true;
+            for (const [pattern, callbacks] of this.listeners) {
+                if (callbacks.size && this.pathsOverlap(parsePath(pattern), [name])) return true;
+            }
+            return false;
+        },
+
+        bind: function(selector, stateName, property = 'textContent') {
+            document.querySelectorAll(selector).forEach(element => this.bindElement(element, stateName, property));
+            logger.log(`Element bound: ${selector} -> ${stateName}`, { property }, 'STATE');
+        },
+
+        bindElement: function(element, stateName, property) {
+            const updateElement = (value) => {
+                if (property === 'textContent') {
+                    element.textContent = value;
+                } else if (property === 'innerHTML') {
+                    element.innerHTML = value;
+                } else if (property.startsWith('attr:')) {
+                    const attr = property.split(':')[1];
+                    element.setAttribute(attr, value);
+                } else if (property.startsWith('style:')) {
+                    const styleProp = property.split(':')[1];
+                    element.style[styleProp] = value;
+                } else if (property === 'class') {
+                    element.className = value;
+                }
+            };
+
+            // Initial update, then batched updates on change
+            const update = () => updateElement(this.get(stateName));
+            const schedule = () => updateScheduler.schedule(update, element);
+            update();
+            this.subscribe(stateName, schedule);
+            cleanupRegistry.register(element, () => this.unsubscribe(stateName, schedule));
+        }
+    };
+
+    // ===== State Persistence =====
+    // States created with { persist } are restored from storage on startup and written back (debounced)
+    // on change; { sync: true } mirrors changes to other open tabs. Stored records carry a schema
+    // version so data saved by an older release is migrated or dropped instead of breaking the app.
+    const statePersistence = {
+        prefix: 'html-components:state:',
+        tabId: Math.random().toString(36).slice(2),
+        entries: new Map(),
+        channel: null,
+        listening: false,
+
+        attach: function(name, options) {
+            const entry = {
+                persist: options.persist || null,
+                sync: Boolean(options.sync),
+                version: options.version ?? 1,
+                migrate: options.migrate,
+                debounce: options.debounce ?? 100,
+                timer: null,
+                applying: null,
+                changed: false
+            };
+            entry.listener = value => {
+                if (entry.applying === 'hydrate') return;
+                entry.changed = true;
+                if (entry.persist) this.scheduleWrite(name);
+                if (entry.sync && entry.applying !== 'remote') this.broadcast(name, value);
+            };
+
+            // Creating the state again replaces its settings rather than adding a second listener
+            const previous = this.entries.get(name);
+            if (previous) {
+                clearTimeout(previous.timer);
+                stateSystem.unsubscribe(name, previous.listener);
+            }
+            this.entries.set(name, entry);
+            this.listen();
+            stateSystem.subscribe(name, entry.listener);
+
+            entry.ready = entry.persist ? this.hydrate(name) : Promise.resolve();
+        },
+
+        ready: function(name) {
+            return this.entries.get(name)?.ready || Promise.resolve();
+        },
+
+        // Web storage is read synchronously so the first render already shows the stored value
+        hydrate: function(name) {
+            const entry = this.entries.get(name);
+            const restore = record => {
+                // A change made while IndexedDB was loading is newer than what is stored
+                if (!record || entry.changed) return;
+                const value = this.upgrade(name, record);
+                if (value === undefined) return;
+                this.apply(name, value, 'hydrate');
+                logger.log(`State restored: ${name}`, { storage: entry.persist }, 'STATE');
+                // Migrated values are stored under the new version, so the migration runs only once
+                if (record.version !== entry.version) this.write(name);
+            };
+            const fail = error => logger.warn(`Could not restore state: ${name}`, error, 'STATE');
+
+            if (entry.persist === 'indexeddb') {
+                return idbRequest('html-components-state', 'state', 'readonly', store => store.get(this.prefix + name)).then(restore).catch(fail);
+            }
+
+            try {
+                const raw = this.storage(entry.persist).getItem(this.prefix + name);
+                restore(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                fail(error);
+            }
+            return Promise.resolve();
+        },
+
+        upgrade: function(name, record) {
+            const entry = this.entries.get(name);
+            if (record.version === entry.version) return record.value;
+
+            if (record.version < entry.version && typeof entry.migrate === 'function') {
+                try {
+                    return entry.migrate(record.value, record.version);
+                } catch (error) {
+                    logger.warn(`State migration failed: ${name}`, error, 'STATE');
+                    return undefined;
+                }
+            }
+
+            logger.warn(`Discarding stored state ${name}: version ${record.version} does not match ${entry.version}`, null, 'STATE');
+            return undefined;
+        },
+
+        apply: function(name, value, source) {
+            const entry = this.entries.get(name);
+            entry.applying = source;
+            try {
+                stateSystem.set(name, value);
+            } finally {
+                entry.applying = null;
+            }
+        },
+
+        storage: function(type) {
+            return type === 'session' ? window.sessionStorage : window.localStorage;
+        },
+
+        scheduleWrite: function(name) {
+            const entry = this.entries.get(name);
+            clearTimeout(entry.timer);
+            entry.timer = setTimeout(() => this.write(name), entry.debounce);
+        },
+
+        write: function(name) {
+            const entry = this.entries.get(name);
+            entry.timer = null;
+            const key = this.prefix + name;
+            const record = { version: entry.version, value: stateSystem.get(name) };
+            const fail = error => logger.warn(`Could not save state: ${name}`, error, 'STATE');
+
+            if (entry.persist === 'indexeddb') {
+                idbRequest('html-components-state', 'state', 'readwrite', store => store.put(record, key)).catch(fail);
+                return;
+            }
+
+            try {
+                this.storage(entry.persist).setItem(key, JSON.stringify(record));
+            } catch (error) {
+                fail(error);
+            }
+        },
+
+        // Pending writes are saved when the page is hidden or closed
+        flush: function() {
+            this.entries.forEach((entry, name) => {
+                if (!entry.timer) return;
+                clearTimeout(entry.timer);
+                this.write(name);
+            });
+        },
+
+        // Tabs talk over BroadcastChannel where available, otherwise through localStorage 'storage' events
+        listen: function() {
+            if (this.listening) return;
+            this.listening = true;
+
+            window.addEventListener('pagehide', () => this.flush());
+
+            if (typeof BroadcastChannel === 'function') {
+                this.channel = new BroadcastChannel('html-components-state');
+                this.channel.onmessage = event => this.receive(event.data);
+            } else {
+                window.addEventListener('storage', event => {
+                    if (!event.key || !event.key.startsWith(this.prefix + 'sync:') || !event.newValue) return;
+                    try {
+                        this.receive(JSON.parse(event.newValue));
+                    } catch (error) {
+                        logger.warn('Invalid state sync message', error, 'STATE');
+                    }
+                });
+            }
+        },
+
+        broadcast: function(name, value) {
+            const message = { name, value, source: this.tabId };
+            try {
+                if (this.channel) {
+                    this.channel.postMessage(message);
+                } else {
+                    // The timestamp makes every write a change, so other tabs always get a 'storage' event
+                    window.localStorage.setItem(this.prefix + 'sync:' + name, JSON.stringify({ ...message, time: Date.now() }));
+                }
+            } catch (error) {
+                logger.warn(`Could not sync state: ${name}`, error, 'STATE');
+            }
+        },
+
+        receive: function(message) {
+            if (!message || message.source === this.tabId) return;
+            const entry = this.entries.get(message.name);
+            if (!entry || !entry.sync) return;
+
+            this.apply(message.name, message.value, 'remote');
+            logger.log(`State synced from another tab: ${message.name}`, null, 'STATE');
+        }
+    };
+
+    // ===== State History =====
+    // Undo/redo for tracked states. Each setState is one step unless it runs inside transaction(),
+    // which groups every change into a single step. Undo, redo and restore() write through
+    // stateSystem.set, so subscribers, bindings and templates update as usual.
+    const stateHistory = {
+        tracked: new Map(),
+        past: [],
+        future: [],
+        maxDepth: 100,
+        pending: null,
+        depth: 0,
+        applying: false,
+
+        track: function(names, options = {}) {
+            if (options.maxDepth) this.maxDepth = options.maxDepth;
+
+            [].concat(names).forEach(name => {
+                if (this.tracked.has(name)) return;
+                const listener = (value, oldValue) => this.record(name, oldValue, value);
+                this.tracked.set(name, listener);
+                stateSystem.subscribe(name, listener);
+            });
+            logger.log('History tracking states', { names }, 'STATE');
+            return () => this.untrack(names);
+        },
+
+        untrack: function(names) {
+            [].concat(names).forEach(name => {
+                const listener = this.tracked.get(name);
+                if (!listener) return;
+                stateSystem.unsubscribe(name, listener);
+                this.tracked.delete(name);
+            });
+        },
+
+        record: function(name, before, after) {
+            if (this.applying) return;
+
+            if (this.pending) {
+                // Keep the value from before the transaction and the latest value per state
+                const change = this.pending.get(name);
+                this.pending.set(name, { name, before: change ? change.before : before, after });
+                return;
+            }
+            this.push([{ name, before, after }]);
+        },
+
+        push: function(step) {
+            this.past.push(step);
+            if (this.past.length > this.maxDepth) this.past.splice(0, this.past.length - this.maxDepth);
+            this.future = [];
+        },
+
+        transaction: function(fn) {
+            if (this.depth++ === 0) this.pending = new Map();
+
+            const commit = () => {
+                if (--this.depth > 0) return;
+                const step = [...this.pending.values()].filter(change => !isEqual(change.before, change.after));
+                this.pending = null;
+                if (step.length > 0) this.push(step);
+            };
+
+            let result;
+            try {
+                result = fn();
+            } catch (error) {
+                commit();
+                throw error;
+            }
+
+            // Async transactions end when their promise settles
+            if (result && typeof result.then === 'function') return result.finally(commit);
+            commit();
+            return result;
+        },
+
+        apply: function(step, key) {
+            this.applying = true;
+            try {
+                const changes = key === 'before' ? [...step].reverse() : step;
+                changes.forEach(change => stateSystem.set(change.name, change[key]));
+            } finally {
+                this.applying = false;
+            }
+        },
+
+        undo: function() {
+            const step = this.past.pop();
+            if (!step) return false;
+            this.apply(step, 'before');
+            this.future.push(step);
+            return true;
+        },
+
+        redo: function() {
+            const step = this.future.pop();
+            if (!step) return false;
+            this.apply(step, 'after');
+            this.past.push(step);
+            return true;
+        },
+
+        canUndo: function() {
+            return this.past.length > 0;
+        },
+
+        canRedo: function() {
+            return this.future.length > 0;
+        },
+
+        clear: function() {
+            this.past = [];
+            this.future = [];
+        },
+
+        // Snapshots share values with the store; that is safe because state updates never mutate them
+        snapshot: function() {
+            return { time: Date.now(), states: Object.fromEntries(stateSystem.states) };
+        },
+
+        restore: function(snapshot) {
+            this.transaction(() => {
+                Object.entries(snapshot.states).forEach(([name, value]) => {
+                    if (!stateSystem.states.has(name)) stateSystem.create(name, undefined);
+                    stateSystem.set(name, value);
+                });
+            });
+            logger.log('State restored from snapshot', { time: snapshot.time }, 'STATE');
+        }
+    };
+
+    // ===== Template Engine =====
+    // Templates are tokenized and parsed once into a tree, then rendered against a context.
+    // Compiled templates are cached by component path (or by source for ad-hoc templates).
+    // {{value}} output is HTML-escaped; {{{value}}} and {{value | raw}} insert trusted markup as-is.
+    const templateEngine = {
+        cache: new Map(),
+        maxCacheSize: 200,
+
+        filters: {
+            upper: value => String(value ?? '').toUpperCase(),
+            lower: value => String(value ?? '').toLowerCase(),
+            capitalize: value => {
+                const text = String(value ?? '');
+                return text.charAt(0).toUpperCase() + text.slice(1);
+            },
+            trim: value => String(value ?? '').trim(),
+            default: (value, fallback = '') => value == null || value === '' ? fallback : value,
+            json: (value, indent) => JSON.stringify(value, null, indent),
+            // Used for {{ }} inside data-props JSON
+            jsonValue: value => JSON.stringify(value ?? null),
+            jsonText: value => JSON.stringify(String(value ?? '')).slice(1, -1),
+            length: value => value == null ? 0 : value.length ?? Object.keys(value).length,
+            join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value,
+            truncate: (value, length = 50, suffix = '…') => {
+                const text = String(value ?? '');
+                return text.length > length ? text.slice(0, length) + suffix : text;
+            },
+            number: (value, digits) => Number(value).toLocaleString(undefined,
+                digits !== undefined ? { minimumFractionDigits: digits, maximumFractionDigits: digits } : undefined),
+            currency: (value, currency = 'USD', locale) =>
+                new Intl.NumberFormat(locale, { style: 'currency', currency }).format(Number(value) || 0),
+            date: (value, locale, options) => value ? new Date(value).toLocaleDateString(locale, options) : ''
+        },
+
+        registerFilter: function(name, fn) {
+            if (typeof fn !== 'function') {
+                logger.warn(`Filter "${name}" must be a function`, null, 'TEMPLATE');
+                return;
+            }
+            this.filters[name] = fn;
+            logger.log(`Template filter registered: ${name}`, null, 'TEMPLATE');
+        },
+
+        compile: function(source, key = source) {
+            const cached = this.cache.get(key);
+            if (cached && cached.source === source) return cached.render;
+
+            const nodes = this.parse(this.tokenize(source));
+            const render = (context, escape = true, mark = false) => this.renderNodes(nodes, context, escape, mark);
+
+            this.cache.delete(key);
+            this.cache.set(key, { source, render });
+            if (this.cache.size > this.maxCacheSize) this.cache.delete(this.cache.keys().next().value);
+            return render;
+        },
+
+        // Names read by a template's expressions (including filter arguments)
+        dependencies: function(source) {
+            const names = new Set();
+            const visit = nodes => nodes.forEach(node => {
+                const expressions = node.type === 'output' ? [node.expression, ...node.filters.flatMap(filter => filter.args)]
+                    : node.type === 'if' ? node.branches.map(branch => branch.condition)
+                    : node.type === 'each' ? [node.expression] : [];
+                expressions.forEach(expression => expressionEngine.identifiers(expression).forEach(name => names.add(name)));
+
+                if (node.type === 'if') {
+                    node.branches.forEach(branch => visit(branch.body));
+                    if (node.otherwise) visit(node.otherwise);
+                } else if (node.type === 'each') {
+                    visit(node.body);
+                    if (node.otherwise) visit(node.otherwise);
+                }
+            });
+
+            try {
+                visit(this.parse(this.tokenize(source)));
+            } catch (error) {
+                logger.warn(`Template error: ${error.message}`, { error }, 'TEMPLATE');
+            }
+            return [...names];
+        },
+
+        tokenize: function(source) {
+            const tokens = [];
+            let position = 0;
+
+            while (position < source.length) {
+                const start = source.indexOf('{{', position);
+                if (start === -1) break;
+                const triple = source[start + 2] === '{';
+                const open = triple ? 3 : 2;
+
+                // Find the closing braces, ignoring any inside quoted strings
+                let end = -1;
+                let quote = null;
+                for (let i = start + open; i < source.length - 1; i++) {
+                    const char = source[i];
+                    if (quote) {
+                        if (char === '\\') i++;
+                        else if (char === quote) quote = null;
+                    } else if (char === '"' || char === "'" || char === '`') {
+                        quote = char;
+                    } else if (char === '}' && source[i + 1] === '}' && (!triple || source[i + 2] === '}')) {
+                        end = i;
+                        break;
+                    }
+                }
+                if (end === -1) break;
+
+                if (start > position) tokens.push({ type: 'text', value: source.slice(position, start) });
+                tokens.push({ type: 'tag', value: source.slice(start + open, end).trim(), raw: source.slice(start, end + open), unescaped: triple });
+                position = end + open;
+            }
+
+            if (position < source.length) tokens.push({ type: 'text', value: source.slice(position) });
+            return tokens;
+        },
+
+        parse: function(tokens) {
+            const root = [];
+            const stack = [];
+            let body = root;
+            let match;
+
+            tokens.forEach(token => {
+                if (token.type === 'text') {
+                    body.push(token);
+                    return;
+                }
+
+                const tag = token.value;
+                const open = stack[stack.length - 1];
+
+                if (token.unescaped) {
+                    body.push(this.parseOutput(tag, token.raw, false));
+                } else if ((match = tag.match(/^if\s+([\s\S]+)$/))) {
+                    const node = { type: 'if', branches: [{ condition: match[1].trim(), body: [] }], otherwise: null };
+                    body.push(node);
+                    stack.push({ node, parentBody: body });
+                    body = node.branches[0].body;
+                } else if ((match = tag.match(/^else\s*if\s+([\s\S]+)$/))) {
+                    if (!open || open.node.type !== 'if' || open.node.otherwise) throw new Error(`Unexpected {{${tag}}}`);
+                    const branch = { condition: match[1].trim(), body: [] };
+                    open.node.branches.push(branch);
+                    body = branch.body;
+                } else if (tag === 'else') {
+                    if (!open || open.node.otherwise) throw new Error('Unexpected {{else}}');
+                    open.node.otherwise = [];
+                    body = open.node.otherwise;
+                } else if ((match = tag.match(/^each\s+([\s\S]+?)(?:\s+as\s+([\w$]+)(?:\s*,\s*([\w$]+))?)?$/))) {
+                    const node = { type: 'each', expression: match[1].trim(), item: match[2] || '$item', index: match[3] || 'index', body: [], otherwise: null };
+                    body.push(node);
+                    stack.push({ node, parentBody: body });
+                    body = node.body;
+                } else if ((match = tag.match(/^\/\s*(if|each)$/))) {
+                    if (!open || open.node.type !== match[1]) throw new Error(`Unexpected {{/${match[1]}}}`);
+                    stack.pop();
+                    body = open.parentBody;
+                } else {
+                    body.push(this.parseOutput(tag, token.raw, true));
+                }
+            });
+
+            if (stack.length) throw new Error(`Unclosed {{${stack[stack.length - 1].node.type}}} block`);
+            return root;
+        },
+
+        parseOutput: function(tag, raw, escape) {
+            const [expression, ...filters] = this.splitTopLevel(tag, '|');
+            const parsed = filters.map(filter => this.parseFilter(filter));
+            return {
+                type: 'output',
+                expression: expression.trim(),
+                filters: parsed.filter(filter => filter.name !== 'raw'),
+                escape: escape && parsed.every(filter => filter.name !== 'raw'),
+                raw
+            };
+        },
+
+        parseFilter: function(filter) {
+            const separator = filter.indexOf(':');
+            if (separator === -1) return { name: filter.trim(), args: [] };
+            return {
+                name: filter.slice(0, separator).trim(),
+                args: this.splitTopLevel(filter.slice(separator + 1), ',').map(arg => arg.trim())
+            };
+        },
+
+        // Split on a separator that is not inside quotes or brackets ('|' also skips '||')
+        splitTopLevel: function(text, separator) {
+            const parts = [];
+            let depth = 0;
+            let quote = null;
+            let last = 0;
+
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quote) {
+                    if (char === '\\') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'" || char === '`') {
+                    quote = char;
+                } else if ('([{'.includes(char)) {
+                    depth++;
+                } else if (')]}'.includes(char)) {
+                    depth--;
+                } else if (char === separator && depth === 0) {
+                    if (separator === '|' && (text[i + 1] === '|' || text[i - 1] === '|')) continue;
+                    parts.push(text.slice(last, i));
+                    last = i + 1;
+                }
+            }
+            parts.push(text.slice(last));
+            return parts;
+        },
+
+        renderNodes: function(nodes, context, escape, mark) {
+            let output = '';
+            nodes.forEach(node => {
+                if (node.type === 'text') {
+                    output += node.value;
+                } else if (node.type === 'output') {
+                    output += this.renderOutput(node, context, escape, mark);
+                } else if (node.type === 'if') {
+                    const branch = node.branches.find(b => evaluateExpression(b.condition, context));
+                    const body = branch ? branch.body : node.otherwise;
+                    if (body) output += this.renderNodes(body, context, escape, mark);
+                } else if (node.type === 'each') {
+                    output += this.renderEach(node, context, escape, mark);
+                }
+            });
+            return output;
+        },
+
+        renderOutput: function(node, context, escape, mark) {
+            // Leave placeholders for unknown names so later state updates can still fill them. With
+            // mark they are wrapped in markers, so template regions can tell them from rendered text.
+            const root = node.expression.match(/^[A-Za-z_$][\w$]*/);
+            if (root && !hasOwn(context, root[0]) && !hasOwn(expressionGlobals, root[0]) && !hasOwn(expressionEngine.keywords, root[0]) && root[0] !== 'typeof') {
+                return mark ? templateRegions.pendingOpen + node.raw + templateRegions.pendingClose : node.raw;
+            }
+
+            let value = evaluateExpression(node.expression, context, '');
+            node.filters.forEach(filter => {
+                const fn = this.filters[filter.name];
+                if (!fn) {
+                    logger.warn(`Unknown template filter: ${filter.name}`, null, 'TEMPLATE');
+                    return;
+                }
+                try {
+                    value = fn(value, ...filter.args.map(arg => evaluateExpression(arg, context)));
+                } catch (error) {
+                    logger.warn(`Template filter error: ${filter.name}`, { error }, 'TEMPLATE');
+                }
+            });
+
+            let text = value == null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            // Rendered values can never pose as a pending placeholder
+            if (mark) text = text.replace(templateRegions.markers, '');
+            return escape && node.escape ? escapeHTML(text) : text;
+        },
+
+        renderEach: function(node, context, escape, mark) {
+            const list = evaluateExpression(node.expression, context);
+            const entries = Array.isArray(list) ? list.map((item, i) => [i, item])
+                : list && typeof list === 'object' ? Object.entries(list) : [];
 
-        const processedProps = Object.fromEntries(Object.entries(props).map(([k, v]) => [k, typeof v === 'function' ? v() : v]));
+            if (entries.length === 0) return node.otherwise ? this.renderNodes(node.otherwise, context, escape, mark) : '';
 
-        const promise = loadComponentIntoElement(element, name, processedProps);
+            return entries.map(([key, item]) => this.renderNodes(node.body, {
+                ...context,
+                [node.item]: item,
+                [node.index]: key,
+                index: key,
+                $item: item
+            }, escape, mark)).join('');
+        }
+    };
 
-        return children?.length ? promise.then(() => Promise.allSettled(children.map(c => processComponentDefinition(c, element)))) : promise;
-    }
+    function processTemplate(template, props, state = {}, options = {}) {
+        if (typeof template !== 'string' || !template.includes('{{')) return template;
 
-    // ===== Reactive State System =====
-    const stateSystem = {
-        states: new Map(),
-        listeners: new Map(),
-        computedDeps: new Map(),
+        const { cacheKey, escape = true, markPending = false } = options;
+        // Without state, props are used as they are, so lazily computed values in them stay lazy
+        const context = state && Object.keys(state).length ? { ...props, ...state } : props || {};
+        try {
+            return templateEngine.compile(template, cacheKey)(context, escape, markPending);
+        } catch (error) {
+            logger.warn(`Template error${cacheKey ? ` in ${cacheKey}` : ''}: ${error.message}`, { error }, 'TEMPLATE');
+            return template;
+        }
+    }
 
-        create: function(name, initialValue) {
-            this.states.set(name, initialValue);
-            this.listeners.set(name, new Set());
-            logger.log(`State created: ${name}`, { value: initialValue }, 'STATE');
-            return name;
-        },
+    // ===== Expression Evaluator =====
+    // A small interpreter for template expressions, so templates work under a
+    // Content-Security-Policy without 'unsafe-eval'. Parsed expressions are cached.
+    const expressionGlobals = {
+        Math, JSON, Number, String, Boolean, parseInt, parseFloat, isNaN, isFinite,
+        Array: { isArray: Array.isArray },
+        Object: { keys: Object.keys, values: Object.values, entries: Object.entries },
+        Date: { now: Date.now }
+    };
 
-        get: function(name) {
-            return this.states.get(name);
+    const expressionEngine = {
+        cache: new Map(),
+        maxCacheSize: 500,
+        blockedProperties: new Set(['constructor', '__proto__', 'prototype', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__']),
+        safeMethods: new Set([
+            'toUpperCase', 'toLowerCase', 'trim', 'trimStart', 'trimEnd', 'includes', 'startsWith', 'endsWith',
+            'indexOf', 'lastIndexOf', 'slice', 'substring', 'split', 'replace', 'padStart', 'padEnd', 'repeat',
+            'charAt', 'at', 'join', 'concat', 'toFixed', 'toString', 'toLocaleString', 'toLocaleDateString',
+            'toLocaleTimeString', 'toISOString', 'getTime', 'getFullYear', 'getMonth', 'getDate', 'getDay',
+            'getHours', 'getMinutes', 'getSeconds', 'has', 'get'
+        ]),
+        keywords: { true: true, false: false, null: null, undefined: undefined },
+
+        evaluate: function(expression, context) {
+            return this.run(this.compile(expression), context);
         },
 
-        set: function(name, value) {
-            const oldValue = this.states.get(name);
-            if (oldValue === value) return;
-
-            this.states.set(name, value);
-            logger.log(`State updated: ${name}`, { oldValue, newValue: value }, 'STATE');
+        // Names an expression reads from its context, e.g. 'user.name + count' -> ['user', 'count']
+        identifiers: function(expression) {
+            const names = new Set();
+            const visit = node => {
+                if (!node || typeof node !== 'object') return;
+                if (node.type === 'identifier') names.add(node.name);
+                Object.values(node).forEach(child => Array.isArray(child) ? child.forEach(visit) : visit(child));
+            };
 
-            // Notify listeners
-            const listeners = this.listeners.get(name);
-            if (listeners) {
-                listeners.forEach(callback => {
-                    try {
-                        callback(value, oldValue);
-                    } catch (error) {
-                        logger.error(`State listener error for ${name}`, error, 'STATE');
-                    }
-                });
+            try {
+                visit(this.compile(expression.trim()));
+            } catch (error) {
+                logger.warn('Expression parse error:', { expression, error }, 'TEMPLATE');
             }
+            return [...names];
+        },
 
-            // Update computed values
-            this.computedDeps.forEach((deps, compName) => {
-                if (deps.includes(name)) {
-                    this.updateComputed(compName);
-                }
-            });
+        compile: function(expression) {
+            let ast = this.cache.get(expression);
+            if (ast) return ast;
 
-            // Auto-update bound elements
-            this.updateBoundElements(name, value);
+            this.tokens = this.tokenize(expression);
+            this.position = 0;
+            ast = this.parseConditional();
+            if (this.position < this.tokens.length) throw new Error(`Unexpected "${this.tokens[this.position].value}" in expression: ${expression}`);
 
-            // Update component templates that use this state
-            document.querySelectorAll('[data-component-loaded]').forEach(componentEl => {
-                this.updateComponentTemplates(componentEl);
-            });
+            if (this.cache.size >= this.maxCacheSize) this.cache.delete(this.cache.keys().next().value);
+            this.cache.set(expression, ast);
+            return ast;
         },
 
-        subscribe: function(name, callback) {
-            const listeners = this.listeners.get(name);
-            if (listeners) {
-                listeners.add(callback);
-                logger.log(`State listener added: ${name}`, null, 'STATE');
+        tokenize: function(expression) {
+            const tokens = [];
+            const operators = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??', '?.'];
+            const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+            let i = 0;
+
+            while (i < expression.length) {
+                const char = expression[i];
+
+                if (/\s/.test(char)) {
+                    i++;
+                } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1]))) {
+                    const number = expression.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/i)[0];
+                    tokens.push({ type: 'literal', value: Number(number) });
+                    i += number.length;
+                } else if (char === '"' || char === "'") {
+                    let value = '';
+                    i++;
+                    while (i < expression.length && expression[i] !== char) {
+                        if (expression[i] === '\\') {
+                            i++;
+                            value += escapes[expression[i]] ?? expression[i];
+                        } else {
+                            value += expression[i];
+                        }
+                        i++;
+                    }
+                    if (i >= expression.length) throw new Error(`Unterminated string in expression: ${expression}`);
+                    tokens.push({ type: 'literal', value });
+                    i++;
+                } else if (/[A-Za-z_$]/.test(char)) {
+                    const name = expression.slice(i).match(/^[\w$]+/)[0];
+                    if (name === 'typeof') tokens.push({ type: 'operator', value: name });
+                    else if (hasOwn(this.keywords, name)) tokens.push({ type: 'literal', value: this.keywords[name] });
+                    else tokens.push({ type: 'identifier', value: name });
+                    i += name.length;
+                } else {
+                    const operator = operators.find(op => expression.startsWith(op, i));
+                    if (operator && !(operator === '?.' && /[0-9]/.test(expression[i + 2]))) {
+                        tokens.push({ type: 'operator', value: operator });
+                        i += operator.length;
+                    } else if ('+-*/%<>!?:.,()[]{}'.includes(char)) {
+                        tokens.push({ type: 'operator', value: char });
+                        i++;
+                    } else {
+                        throw new Error(`Unexpected character "${char}" in expression: ${expression}`);
+                    }
+                }
             }
+            return tokens;
         },
 
-        unsubscribe: function(name, callback) {
-            const listeners = this.listeners.get(name);
-            if (listeners) {
-                listeners.delete(callback);
-                logger.log(`State listener removed: ${name}`, null, 'STATE');
-            }
+        peek: function(value) {
+            const token = this.tokens[this.position];
+            return token && token.type === 'operator' && (value === undefined || token.value === value) ? token : null;
         },
 
-        computed: function(name, deps, computeFn) {
-            this.computedDeps.set(name, deps);
-            this.updateComputed(name, computeFn);
-            logger.log(`Computed state created: ${name}`, { deps }, 'STATE');
-            return name;
+        accept: function(value) {
+            if (!this.peek(value)) return false;
+            this.position++;
+            return true;
         },
 
-        updateComputed: function(name, computeFn) {
-            const deps = this.computedDeps.get(name);
-            if (!deps) return;
-
-            const values = deps.map(dep => this.get(dep));
-            const computedFn = computeFn || this.computedDeps.get(name + '_fn');
-            if (computedFn && typeof computedFn === 'function') {
-                const result = computedFn(...values);
-                this.states.set(name, result);
+        expect: function(value) {
+            if (!this.accept(value)) {
+                const token = this.tokens[this.position];
+                throw new Error(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of expression'}`);
             }
         },
 
-        bind: function(selector, stateName, property = 'textContent') {
-            const element = document.querySelector(selector);
-            if (!element) return;
-
-            const updateElement = (value) => {
-                if (property === 'textContent') {
-                    element.textContent = value;
-                } else if (property === 'innerHTML') {
-                    element.innerHTML = value;
-                } else if (property.startsWith('attr:')) {
-                    const attr = property.split(':')[1];
-                    element.setAttribute(attr, value);
-                } else if (property.startsWith('style:')) {
-                    const styleProp = property.split(':')[1];
-                    element.style[styleProp] = value;
-                } else if (property === 'class') {
-                    element.className = value;
-                }
-            };
-
-            // Initial update
-            updateElement(this.get(stateName));
+        parseConditional: function() {
+            const test = this.parseBinary(0);
+            if (!this.accept('?')) return test;
+            const consequent = this.parseConditional();
+            this.expect(':');
+            return { type: 'conditional', test, consequent, alternate: this.parseConditional() };
+        },
 
-            // Subscribe to changes
-            this.subscribe(stateName, updateElement);
+        // Binary operators from lowest to highest precedence
+        precedence: [['??'], ['||'], ['&&'], ['===', '!==', '==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']],
 
-            // Store binding info
-            if (!element.dataset.bindings) element.dataset.bindings = '[]';
-            const bindings = JSON.parse(element.dataset.bindings);
-            bindings.push({ state: stateName, property });
-            element.dataset.bindings = JSON.stringify(bindings);
+        parseBinary: function(level) {
+            if (level >= this.precedence.length) return this.parseUnary();
 
-            logger.log(`Element bound: ${selector} -> ${stateName}`, { property }, 'STATE');
+            let left = this.parseBinary(level + 1);
+            let token;
+            while ((token = this.peek()) && this.precedence[level].includes(token.value)) {
+                this.position++;
+                left = { type: 'binary', operator: token.value, left, right: this.parseBinary(level + 1) };
+            }
+            return left;
         },
 
-        updateBoundElements: function(stateName, value) {
-            document.querySelectorAll('[data-bindings]').forEach(el => {
-                const bindings = JSON.parse(el.dataset.bindings);
-                bindings.forEach(binding => {
-                    if (binding.state === stateName) {
-                        if (binding.property === 'textContent') {
-                            el.textContent = value;
-                        } else if (binding.property === 'innerHTML') {
-                            el.innerHTML = value;
-                        } else if (binding.property.startsWith('attr:')) {
-                            const attr = property.split(':')[1];
-                            el.setAttribute(attr, value);
-                        } else if (binding.property.startsWith('style:')) {
-                            const styleProp = property.split(':')[1];
-                            el.style[styleProp] = value;
-                        } else if (binding.property === 'class') {
-                            el.className = value;
-                        }
-                    }
-                });
-            });
+        parseUnary: function() {
+            const token = this.peek();
+            if (token && ['!', '-', '+', 'typeof'].includes(token.value)) {
+                this.position++;
+                return { type: 'unary', operator: token.value, argument: this.parseUnary() };
+            }
+            return this.parsePostfix(this.parsePrimary());
         },
 
-        updateComponentTemplates: function(componentElement) {
-            if (!componentElement) return;
+        parsePostfix: function(node) {
+            for (;;) {
+                if (this.accept('.') || this.accept('?.')) {
+                    const optional = this.tokens[this.position - 1].value === '?.';
+                    const name = this.tokens[this.position];
+                    if (!name || name.type !== 'identifier') throw new Error('Expected property name after "."');
+                    this.position++;
+                    node = { type: 'member', object: node, property: { type: 'literal', value: name.value }, optional };
+                } else if (this.accept('[')) {
+                    node = { type: 'member', object: node, property: this.parseConditional(), optional: false };
+                    this.expect(']');
+                } else if (this.accept('(')) {
+                    node = { type: 'call', callee: node, args: this.parseList(')') };
+                } else {
+                    return node;
+                }
+            }
+        },
 
-            // Get all current state
-            const allState = {};
-            this.states.forEach((value, key) => {
-                allState[key] = value;
-            });
+        parsePrimary: function() {
+            const token = this.tokens[this.position++];
+            if (!token) throw new Error('Unexpected end of expression');
 
-            // Re-process templates in this component
-            const walker = document.createTreeWalker(
-                componentElement,
-                NodeFilter.SHOW_TEXT,
-                {
-                    acceptNode: function(node) {
-                        return node.textContent.includes('{{') ?
-                            NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
-                    }
+            if (token.type === 'literal') return { type: 'literal', value: token.value };
+            if (token.type === 'identifier') return { type: 'identifier', name: token.value };
+            if (token.value === '(') {
+                const node = this.parseConditional();
+                this.expect(')');
+                return node;
+            }
+            if (token.value === '[') return { type: 'array', elements: this.parseList(']') };
+            if (token.value === '{') {
+                const properties = [];
+                while (!this.accept('}')) {
+                    const key = this.tokens[this.position++];
+                    if (!key || (key.type !== 'identifier' && key.type !== 'literal')) throw new Error('Expected object key');
+                    this.expect(':');
+                    properties.push({ key: String(key.value), value: this.parseConditional() });
+                    if (!this.peek('}')) this.expect(',');
                 }
-            );
-
-            const nodesToUpdate = [];
-            let node;
-            while (node = walker.nextNode()) {
-                nodesToUpdate.push(node);
+                return { type: 'object', properties };
             }
+            throw new Error(`Unexpected "${token.value}" in expression`);
+        },
 
-            nodesToUpdate.forEach(textNode => {
-                // Store original content on parent element since text nodes don't have dataset
-                const parent = textNode.parentElement;
-                if (!parent) return;
-
-                const key = 'data-original-' + textNode.textContent.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 20);
-                const originalContent = parent.getAttribute(key) || textNode.textContent;
-                parent.setAttribute(key, originalContent);
-                textNode.textContent = processTemplate(originalContent, {}, allState);
-            });
-        }
-    };
+        parseList: function(close) {
+            const items = [];
+            while (!this.accept(close)) {
+                items.push(this.parseConditional());
+                if (!this.peek(close)) this.expect(',');
+            }
+            return items;
+        },
 
-    // ===== Enhanced Template Processing =====
-    function processTemplate(template, props, state = {}) {
-        if (!props && !state) return template;
+        run: function(node, context) {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'identifier':
+                    if (hasOwn(context, node.name)) return context[node.name];
+                    return hasOwn(expressionGlobals, node.name) ? expressionGlobals[node.name] : undefined;
+                case 'member': {
+                    const object = this.run(node.object, context);
+                    if (object == null) return undefined;
+                    return object[this.propertyKey(node, context)];
+                }
+                case 'call':
+                    return this.call(node, context);
+                case 'unary': {
+                    const value = this.run(node.argument, context);
+                    if (node.operator === '!') return !value;
+                    if (node.operator === '-') return -value;
+                    if (node.operator === '+') return +value;
+                    return typeof value;
+                }
+                case 'binary':
+                    return this.binary(node, context);
+                case 'conditional':
+                    return this.run(node.test, context) ? this.run(node.consequent, context) : this.run(node.alternate, context);
+                case 'array':
+                    return node.elements.map(element => this.run(element, context));
+                case 'object':
+                    return Object.fromEntries(node.properties.map(p => [p.key, this.run(p.value, context)]));
+            }
+        },
 
-        let result = template;
-        const context = { ...props, ...state };
+        propertyKey: function(node, context) {
+            const key = this.run(node.property, context);
+            if (this.blockedProperties.has(String(key))) throw new Error(`Access to "${key}" is not allowed in expressions`);
+            return key;
+        },
 
-        // Handle conditionals {{if condition}}content{{/if}}
-        result = result.replace(/\{\{\s*if\s+([^}]+)\}\}([\s\S]*?)\{\{\/if\s*\}\}/g, (match, condition, content) => {
-            try {
-                const conditionValue = evaluateExpression(condition, context);
-                return conditionValue ? content : '';
-            } catch (error) {
-                logger.warn('Template conditional error:', { condition, error }, 'TEMPLATE');
-                return '';
+        call: function(node, context) {
+            const { callee } = node;
+            let fn;
+            let thisArg;
+
+            if (callee.type === 'member') {
+                thisArg = this.run(callee.object, context);
+                if (thisArg == null) return undefined;
+                const key = this.propertyKey(callee, context);
+                fn = thisArg[key];
+                // Allowed: whitelisted methods, members of the built-in globals, and functions the caller put on plain data
+                const allowed = this.safeMethods.has(key) ||
+                    Object.values(expressionGlobals).includes(thisArg) ||
+                    hasOwn(thisArg, key);
+                if (!allowed) throw new Error(`Calling "${key}" is not allowed in expressions`);
+            } else {
+                fn = this.run(callee, context);
             }
-        });
 
-        // Handle loops {{each items as item}}content{{/each}}
-        result = result.replace(/\{\{\s*each\s+([^}]+)\s+as\s+([^}]+)\}\}([\s\S]*?)\{\{\/each\s*\}\}/g, (match, arrayExpr, itemName, content) => {
-            try {
-                const array = evaluateExpression(arrayExpr, context);
-                if (!Array.isArray(array)) return '';
+            if (typeof fn !== 'function') throw new Error('Expression is not a function');
+            return fn.apply(thisArg, node.args.map(arg => this.run(arg, context)));
+        },
 
-                return array.map((item, index) => {
-                    const itemContext = { ...context, [itemName]: item, index, $item: item };
-                    return processTemplate(content, itemContext, {});
-                }).join('');
-            } catch (error) {
-                logger.warn('Template loop error:', { arrayExpr, itemName, error }, 'TEMPLATE');
-                return '';
+        binary: function(node, context) {
+            const left = this.run(node.left, context);
+            switch (node.operator) {
+                case '&&': return left && this.run(node.right, context);
+                case '||': return left || this.run(node.right, context);
+                case '??': return left ?? this.run(node.right, context);
             }
-        });
-
-        // Handle simple variables {{variable}}
-        Object.entries(context).forEach(([key, value]) => {
-            const stringValue = value == null ? '' :
-                typeof value === 'object' ? JSON.stringify(value) : String(value);
-            result = result.replace(new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g'), stringValue);
-        });
 
-        return result;
-    }
+            const right = this.run(node.right, context);
+            switch (node.operator) {
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '<': return left < right;
+                case '>': return left > right;
+                case '<=': return left <= right;
+                case '>=': return left >= right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+            }
+        }
+    };
 
-    function evaluateExpression(expr, context) {
-        // Simple expression evaluator for templates
-        // Supports: stateName, stateName.property, stateName === 'value', etc.
+    // Failed expressions evaluate to fallback: false suits conditions, output passes ''
+    function evaluateExpression(expr, context, fallback = false) {
         try {
-            // Create a function with context variables
-            const vars = Object.keys(context).join(',');
-            const func = new Function(vars, `return ${expr};`);
-            return func(...Object.values(context));
+            return expressionEngine.evaluate(expr.trim(), context);
         } catch (error) {
             logger.warn('Expression evaluation error:', { expr, error }, 'TEMPLATE');
-            return false;
+            return fallback;
         }
     }
 
@@ -915,6 +3574,7 @@
                     }
                 });
             }
+            dispatchElementEvent(eventName, data, source || activeComponent);
             logger.log(`Component event emitted: ${eventName}`, { data, source }, 'EVENTS');
         },
 
@@ -963,69 +3623,486 @@
         }
     };
 
+    // ===== Loading and Error States =====
+    const loadStates = {
+        // Shows the loading template if the load takes longer than loadingDelay. The returned
+        // function resolves once the content may replace it (after loadingMinimum, if it was shown).
+        start: function(element, componentPath) {
+            const template = element.getAttribute('data-loading') || config.loadingTemplate;
+            if (!template) return () => Promise.resolve();
+
+            let shownAt = null;
+            let stopped = false;
+            const timer = setTimeout(() => {
+                componentRegistry.fetch(template)
+                    .then(html => {
+                        if (stopped) return;
+                        element.innerHTML = processTemplate(html, { path: componentPath }, {}, { cacheKey: template });
+                        element.setAttribute('aria-busy', 'true');
+                        shownAt = Date.now();
+                    })
+                    .catch(error => logger.warn(`Loading template failed: ${template}`, error, 'COMPONENT'));
+            }, config.loadingDelay);
+
+            return () => {
+                if (stopped) return Promise.resolve();
+                stopped = true;
+                clearTimeout(timer);
+                element.removeAttribute('aria-busy');
+                const remaining = shownAt === null ? 0 : config.loadingMinimum - (Date.now() - shownAt);
+                return remaining > 0 ? new Promise(resolve => setTimeout(resolve, remaining)) : Promise.resolve();
+            };
+        },
+
+        // Renders the error template of the element or its nearest ancestor with data-error, so one
+        // boundary can cover every component inside it. [data-retry] elements reload the component.
+        error: function(element, componentPath, error, retry) {
+            const boundary = element.closest('[data-error]');
+            const template = (boundary && boundary.getAttribute('data-error')) || config.errorTemplate;
+            const props = { path: componentPath, message: error.message };
+
+            const render = template
+                ? componentRegistry.fetch(template).then(html => processTemplate(html, props, {}, { cacheKey: template }))
+                    .catch(templateError => {
+                        logger.warn(`Error template failed: ${template}`, templateError, 'COMPONENT');
+                        return this.defaultError(props);
+                    })
+                : Promise.resolve(this.defaultError(props));
+
+            return render.then(html => {
+                element.innerHTML = html;
+                element.setAttribute('data-component-error', componentPath);
+                element.querySelectorAll('[data-retry]').forEach(button => button.addEventListener('click', event => {
+                    event.preventDefault();
+                    retry();
+                }));
+            });
+        },
+
+        // Details are for developers, so they only show in debug mode
+        defaultError: function(props) {
+            const details = logger.debugMode ? `<small>${escapeHTML(props.path)}: ${escapeHTML(props.message)}</small>` : '';
+            return `<div class="hc-error" role="alert">
+                <p>This content could not be loaded.</p>${details}
+                <button type="button" data-retry>Retry</button>
+            </div>`;
+        }
+    };
+
+    // ===== Data Fetching =====
+    // Components with a data source (data-fetch or a `fetch` page definition) render once its JSON
+    // arrives, with { data, loading, error } added to their props. The source stays bound to the
+    // host until it is removed: polling, state changes and refetch() load the data again.
+    const dataFetching = {
+        inflight: new Map(),
+        bindings: new WeakMap(),
+
+        // Source settings from a host's attributes, or from a page definition's `fetch` (url or object)
+        source: function(definition) {
+            if (typeof definition === 'string') return { url: definition, poll: 0, refetchOn: [], options: {} };
+            if (definition.nodeType === 1) {
+                return {
+                    url: definition.getAttribute('data-fetch'),
+                    pending: templateOwners.has(definition),
+                    poll: Number(definition.getAttribute('data-poll')) || 0,
+                    refetchOn: (definition.getAttribute('data-refetch-on') || '').split(',').map(path => path.trim()).filter(Boolean),
+                    options: {}
+                };
+            }
+            return { poll: 0, refetchOn: [], options: {}, ...definition };
+        },
+
+        load: function(element, componentPath, props, source, parent = null) {
+            const previous = this.bindings.get(element);
+            if (previous) previous.dispose();
+
+            const binding = { element, path: componentPath, props, source, parent, data: null, error: null, url: null, version: 0 };
+            binding.dispose = this.watch(binding);
+            this.bindings.set(element, binding);
+            cleanupRegistry.register(element, () => this.unbind(element, binding));
+            return this.refresh(binding, 'initial');
+        },
+
+        unbind: function(element, binding) {
+            if (this.bindings.get(element) !== binding) return;
+            this.bindings.delete(element);
+            binding.dispose();
+        },
+
+        // Subscribes to state the URL reads (refetching when the URL changes) and to refetchOn paths
+        // (refetching on any change), and starts polling
+        watch: function(binding) {
+            const { refetchOn, poll } = binding.source;
+            const stops = [];
+            let scheduled = false;
+            const schedule = force => {
+                if (scheduled) return;
+                scheduled = true;
+                queueMicrotask(() => {
+                    scheduled = false;
+                    if (force || this.resolveURL(binding) !== binding.url) this.refresh(binding, 'refetch').catch(() => null);
+                });
+            };
+
+            const urlState = this.placeholders(binding.source)
+                .flatMap(placeholder => templateEngine.dependencies(placeholder))
+                .filter(name => !(name in binding.props));
+            [...urlState.map(path => [path, false]), ...refetchOn.map(path => [path, true])].forEach(([path, force]) => {
+                const callback = () => schedule(force);
+                stateSystem.subscribe(path, callback);
+                stops.push(() => stateSystem.unsubscribe(path, callback));
+            });
+
+            if (poll > 0) {
+                // Hidden pages skip their polls
+                const id = setInterval(() => {
+                    if (!document.hidden) this.refresh(binding, 'poll').catch(() => null);
+                }, poll);
+                stops.push(() => clearInterval(id));
+            }
+
+            return () => stops.forEach(stop => stop());
+        },
+
+        // {{ }} placeholders resolve against the host's props, its parent's context and global
+        // state; their values are URL-encoded
+        resolveURL: function(binding) {
+            const context = stateSystem.context({ ...(binding.parent && componentContexts.get(binding.parent)), ...binding.props });
+            return binding.source.url.replace(this.pattern(binding.source), (match, placeholder) =>
+                encodeURIComponent(processTemplate(placeholder, context, {}, { escape: false })));
+        },
+
+        // A data-fetch a component template rendered only evaluates the placeholders that template
+        // left pending, never text it filled in
+        pattern: function(source) {
+            return source.pending ? templateRegions.pending : /(\{\{[\s\S]+?\}\})/g;
+        },
+
+        placeholders: function(source) {
+            return Array.from(source.url.matchAll(this.pattern(source)), match => match[1]);
+        },
+
+        refresh: function(binding, mode) {
+            const { element, path } = binding;
+            // A host that now shows another component has no use for the data
+            if (mode !== 'initial' && mountedComponents.get(element) !== path && loadingHosts.get(element) !== path) {
+                this.unbind(element, binding);
+                return Promise.resolve();
+            }
+
+            const version = ++binding.version;
+            binding.url = this.resolveURL(binding);
+            element.setAttribute('data-fetching', '');
+
+            // The first render waits for the data behind the loading template; refetches render the
+            // previous data with loading: true, polls update silently
+            const loaded = mode === 'initial' ? loadStates.start(element, path) : () => Promise.resolve();
+            if (mode === 'refetch') this.render(binding, true).catch(() => null);
+
+            return this.request(binding.url, binding.source.options)
+                .then(data => {
+                    binding.data = data;
+                    binding.error = null;
+                }, error => {
+                    binding.error = error.message;
+                    logger.warn(`Data fetch failed: ${binding.url}`, error, 'FETCH');
+                })
+                .then(loaded)
+                .then(() => {
+                    // Only the latest request renders
+                    if (version !== binding.version) return;
+                    element.removeAttribute('data-fetching');
+                    return this.render(binding, false);
+                });
+        },
+
+        render: function(binding, loading) {
+            return loadComponentIntoElement(binding.element, binding.path, {
+                ...binding.props, data: binding.data, loading, error: binding.error
+            });
+        },
+
+        refetch: function(element) {
+            const binding = this.bindings.get(element);
+            return binding ? this.refresh(binding, 'refetch') : Promise.resolve();
+        },
+
+        // Identical GET requests in flight at the same time share one response
+        request: function(url, options = {}) {
+            const method = (options.method || 'GET').toUpperCase();
+            const key = method === 'GET' ? network.resolve(url) : null;
+            if (key && this.inflight.has(key)) return this.inflight.get(key);
+
+            const promise = network.fetch(url, { ...options, headers: { Accept: 'application/json', ...options.headers } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    return response.status === 204 ? null : response.json();
+                });
+            if (key) {
+                this.inflight.set(key, promise);
+                const settle = () => this.inflight.delete(key);
+                promise.then(settle, settle);
+            }
+            return promise;
+        }
+    };
+
     // ===== Enhanced Component Loader =====
+    // A component that includes itself through its own templates (A renders B renders A) would
+    // never finish; returns that chain. Siblings, parallel instances and a component placed in
+    // another instance's slot (panel in panel) are not recursion.
+    function findRecursion(element, componentPath) {
+        const chain = [componentPath];
+        for (let node = templateOwner(element); node; node = templateOwner(node)) {
+            const path = loadingHosts.get(node) || mountedComponents.get(node);
+            if (!path) continue;
+            chain.unshift(path);
+            if (path === componentPath) return chain;
+        }
+        return null;
+    }
+
+    // The host whose template rendered node; a custom element's shadow mount belongs to the element
+    function templateOwner(node) {
+        return templateOwners.get(node) || (shadowMounts.has(node) ? parentAcrossShadow(node) : null);
+    }
+
     function loadComponentIntoElement(element, componentPath, props = {}, state = {}) {
-        if (loadingComponents.has(componentPath)) {
-            logger.warn('Component already loading - skipping to prevent loop:', componentPath, 'COMPONENT');
+        const recursion = findRecursion(element, componentPath);
+        if (recursion) {
+            logger.warn(`Recursive component skipped: ${recursion.join(' -> ')}`, null, 'COMPONENT');
             return Promise.resolve();
         }
 
-        loadingComponents.add(componentPath);
-        logger.startTimer(`load-${componentPath}`, 'COMPONENT');
+        // A newer load into the same element aborts this one, so only the latest ever renders
+        lazyLoader.cancel(element);
+        const controller = new AbortController();
+        if (loadControllers.has(element)) loadControllers.get(element).abort();
+        loadControllers.set(element, controller);
+        const finish = () => {
+            if (loadControllers.get(element) !== controller) return;
+            loadControllers.delete(element);
+            loadingHosts.delete(element);
+        };
+
+        const timer = `load-${componentPath}#${++loadCount}`;
+        loadingHosts.set(element, componentPath);
+        logger.startTimer(timer, 'COMPONENT');
         logger.log('Loading component:', componentPath, 'COMPONENT');
 
+        // Reloading a host unmounts what it showed before
+        if (mountedComponents.has(element)) unmountTree(element, true);
+
+        componentContexts.set(element, { ...props, ...state });
+        captureSlotContent(element);
+        element.removeAttribute('data-component-error');
+
         // Trigger beforeLoad hook
         lifecycleHooks.trigger(componentPath, 'beforeLoad', element, { props, state });
 
-        const cachedContent = fileCache.get(componentPath);
-        if (cachedContent) {
-            logger.success('Component loaded from file cache:', componentPath, 'COMPONENT');
-            element.innerHTML = processTemplate(cachedContent, props, state);
-            bindEventHandlers(element);
-            executeScripts(element);
-
-            return loadNestedComponents(element).then(() => {
-                // Trigger afterLoad hook
-                lifecycleHooks.trigger(componentPath, 'afterLoad', element, { props, state, cached: true });
-                loadingComponents.delete(componentPath);
-                logger.endTimer(`load-${componentPath}`, 'COMPONENT');
-                return cachedContent;
-            });
-        }
+        const url = componentRegistry.url(componentPath);
+        const cached = url !== undefined && fileCache.has(url, { allowStale: config.cache.staleWhileRevalidate });
+        const loaded = loadStates.start(element, componentPath);
 
-        return fetch(componentPath)
-            .then(response => {
-                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                return response.text();
-            })
+        return componentRegistry.fetch(componentPath, { signal: controller.signal })
+            .then(html => loaded().then(() => html))
             .then(html => {
-                html = processTemplate(html, props, state);
-                fileCache.set(componentPath, html);
+                if (controller.signal.aborted) throw network.abortError();
+                if (cached) logger.success('Component loaded from file cache:', componentPath, 'COMPONENT');
+                html = processTemplate(encodePropsAttributes(expandSlotPlaceholders(html)), props, state, { cacheKey: componentPath, markPending: true });
                 element.innerHTML = html;
-                element.setAttribute('data-component-loaded', componentPath);
+                templateRegions.scan(element);
+                html = element.innerHTML;
+                element.querySelectorAll('*').forEach(node => templateOwners.set(node, element));
+                scopedStyles.apply(element, componentPath);
+                projectSlots(element);
+                markMounted(element, componentPath);
                 bindEventHandlers(element);
 
                 return loadNestedComponents(element).then(() => {
-                    executeScripts(element);
+                    withComponent(element, () => executeScripts(element, { path: componentPath, props: { ...props, ...state } }));
                     // Trigger afterLoad hook
-                    lifecycleHooks.trigger(componentPath, 'afterLoad', element, { props, state, cached: false });
-                    loadingComponents.delete(componentPath);
-                    const duration = logger.endTimer(`load-${componentPath}`, 'COMPONENT');
+                    lifecycleHooks.trigger(componentPath, 'afterLoad', element, { props, state, cached });
+                    finish();
+                    const duration = logger.endTimer(timer, 'COMPONENT');
                     logger.success(`Component loaded: ${componentPath} (${duration?.toFixed(2)}ms)`, null, 'COMPONENT');
                     return html;
                 });
             })
             .catch(error => {
-                loadingComponents.delete(componentPath);
+                finish();
+                loaded();
+                if (error.name === 'AbortError') {
+                    logger.log('Component load superseded:', componentPath, 'COMPONENT');
+                    throw error;
+                }
+
                 // Trigger error hook
                 lifecycleHooks.trigger(componentPath, 'onError', element, { error, props, state });
                 logger.error(`Failed to load component "${componentPath}"`, error, 'COMPONENT');
-                element.innerHTML = `<div style="color: red; padding: 1rem; border: 1px solid red; background: #ffe6e6;">
-                    <strong>Component Load Error:</strong> ${componentPath}<br>
-                    <small>${error.message}</small>
-                </div>`;
-                throw error;
+
+                // A newer load may have started while the error was reported
+                if (loadControllers.has(element)) throw error;
+                if (mountedComponents.has(element)) unmountTree(element, true);
+                const retry = () => loadComponentIntoElement(element, componentPath, props, state).catch(() => null);
+                return loadStates.error(element, componentPath, error, retry).then(() => {
+                    throw error;
+                });
+            });
+    }
+
+    // ===== Custom Elements =====
+    // Custom element instances, mapped to their props and the element their component renders
+    // into: the custom element itself, or a container inside its shadow root
+    const customElementInstances = new WeakMap();
+    // Containers inside shadow roots, whose <slot>s are left to the browser
+    const shadowMounts = new WeakSet();
+
+    function shadowRootOf(node) {
+        const root = node.getRootNode ? node.getRootNode() : null;
+        return typeof ShadowRoot !== 'undefined' && root instanceof ShadowRoot ? root : null;
+    }
+
+    // Steps from a shadow root's top-level elements out to the element hosting the root
+    function parentAcrossShadow(node) {
+        if (node.parentElement) return node.parentElement;
+        const root = shadowRootOf(node);
+        return root && node.parentNode === root ? root.host : null;
+    }
+
+    function closestCustomElement(node) {
+        let element = node && (node.nodeType === 1 ? node : node.parentElement);
+        while (element && !customElementInstances.has(element)) element = parentAcrossShadow(element);
+        return element;
+    }
+
+    // Component events also reach the page as DOM events on the nearest custom element
+    function dispatchElementEvent(eventName, data, source) {
+        const element = closestCustomElement(source);
+        if (!element) return;
+        element.dispatchEvent(new CustomEvent(eventName, { detail: data, bubbles: true, composed: true }));
+    }
+
+    function parseAttributeValue(value) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    // Attribute changes and property writes in the same tick render once
+    function scheduleElementRender(element) {
+        const instance = customElementInstances.get(element);
+        if (instance.scheduled) return;
+        instance.scheduled = true;
+        queueMicrotask(() => renderCustomElement(element));
+    }
+
+    function renderCustomElement(element) {
+        const instance = customElementInstances.get(element);
+        instance.scheduled = false;
+        if (!element.isConnected) return Promise.resolve();
+        instance.rendered = true;
+
+        // data-slot children are assigned to the matching native slot
+        if (instance.shadow) {
+            Array.from(element.children).forEach(child => {
+                if (child.hasAttribute('data-slot') && !child.hasAttribute('slot')) {
+                    child.setAttribute('slot', child.getAttribute('data-slot'));
+                }
+            });
+        }
+
+        // The loader already reports failures in the element
+        return loadComponentIntoElement(instance.mount, instance.path, { ...instance.props }).catch(() => null);
+    }
+
+    function defineElement(tagName, componentPath, options = {}) {
+        if (typeof customElements === 'undefined') {
+            logger.warn('Custom elements are not supported in this browser:', tagName, 'ELEMENTS');
+            return null;
+        }
+        if (customElements.get(tagName)) {
+            logger.warn('Custom element already defined:', tagName, 'ELEMENTS');
+            return customElements.get(tagName);
+        }
+
+        const propNames = (options.props || []).map(name => name.replace(/-([a-z])/g, (m, c) => c.toUpperCase()));
+        const attributes = propNames.map(name => name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`));
+        const shadowMode = options.shadow === true ? 'open' : options.shadow || null;
+
+        class ComponentElement extends HTMLElement {
+            static get observedAttributes() {
+                return attributes;
+            }
+
+            constructor() {
+                super();
+                let mount = this;
+                if (shadowMode) {
+                    const root = this.attachShadow({ mode: shadowMode });
+                    mount = document.createElement('div');
+                    mount.style.display = 'contents';
+                    root.appendChild(mount);
+                    shadowMounts.add(mount);
+                    cleanupRegistry.observe(root);
+                }
+                customElementInstances.set(this, {
+                    path: componentPath, props: {}, mount, shadow: !!shadowMode, rendered: false, scheduled: false
+                });
+            }
+
+            connectedCallback() {
+                // Properties set before the element was upgraded shadow the prop accessors
+                propNames.forEach(name => {
+                    if (!Object.prototype.hasOwnProperty.call(this, name)) return;
+                    const value = this[name];
+                    delete this[name];
+                    this[name] = value;
+                });
+                // A moved element keeps what it already shows
+                if (!customElementInstances.get(this).rendered) scheduleElementRender(this);
+            }
+
+            disconnectedCallback() {
+                // Moving the element connects it again before this runs
+                queueMicrotask(() => {
+                    if (this.isConnected) return;
+                    const instance = customElementInstances.get(this);
+                    if (loadControllers.has(instance.mount)) loadControllers.get(instance.mount).abort();
+                    unmountTree(instance.mount);
+                    instance.rendered = false;
+                });
+            }
+
+            attributeChangedCallback(name, oldValue, value) {
+                if (oldValue === value) return;
+                const instance = customElementInstances.get(this);
+                const prop = propNames[attributes.indexOf(name)];
+                if (value === null) delete instance.props[prop];
+                else instance.props[prop] = parseAttributeValue(value);
+                if (this.isConnected) scheduleElementRender(this);
+            }
+        }
+
+        // Native properties such as title or hidden keep their behaviour and are only read as attributes
+        propNames.filter(name => !(name in HTMLElement.prototype)).forEach(name => {
+            Object.defineProperty(ComponentElement.prototype, name, {
+                get: function() {
+                    return customElementInstances.get(this).props[name];
+                },
+                set: function(value) {
+                    customElementInstances.get(this).props[name] = value;
+                    if (this.isConnected) scheduleElementRender(this);
+                },
+                configurable: true
             });
+        });
+
+        customElements.define(tagName, ComponentElement);
+        logger.log(`Custom element defined: <${tagName}> -> ${componentPath}`, null, 'ELEMENTS');
+        return ComponentElement;
     }
 
     // ===== Global API =====
@@ -1054,10 +4131,48 @@
 
                 logger.log(`Starting to load JS: ${src}`, null, 'JS');
 
-                fetch(src)
+                if (config.csp) {
+                    const script = document.createElement('script');
+                    script.src = network.resolve(src);
+                    script.setAttribute('data-loaded-js', src);
+                    if (config.nonce) script.nonce = config.nonce;
+                    script.onload = () => {
+                        if (offlineCache.enabled()) {
+                            network.fetch(src).then(r => r.ok ? r.text() : null)
+                                .then(code => { if (code) offlineCache.store(src, code); })
+                                .catch(() => {});
+                        }
+                        logger.success(`JS loaded: ${src}`, null, 'JS');
+                        resolve(script);
+                    };
+                    script.onerror = () => {
+                        script.remove();
+                        const err = new Error(`Failed to load JS: ${src}`);
+                        // The offline copy runs as a nonce'd inline script
+                        offlineCache.fallback(src, err).then(code => {
+                            runInlineScript(code);
+                            const marker = document.createElement('script');
+                            marker.setAttribute('data-loaded-js', src);
+                            marker.style.display = 'none';
+                            document.head.appendChild(marker);
+                            resolve(marker);
+                        }, () => {
+                            logger.error(`Failed to load JS: ${src}`, err, 'JS');
+                            reject(err);
+                        });
+                    };
+                    document.head.appendChild(script);
+                    return;
+                }
+
+                network.fetch(src)
                     .then(r => r.ok ? r.text() : Promise.reject(new Error(`HTTP ${r.status}`)))
                     .then(code => {
-                        (0, eval)(code);
+                        offlineCache.store(src, code);
+                        return code;
+                    }, error => offlineCache.fallback(src, error))
+                    .then(code => {
+                        runInlineScript(code);
                         const marker = document.createElement('script');
                         marker.setAttribute('data-loaded-js', src);
                         marker.style.display = 'none';
@@ -1076,6 +4191,7 @@
         loadImage: (src, opts) => imageLoader.load(src, opts),
         preloadImages: sources => imageLoader.preload(sources),
         buildPage: buildPageFromComponents,
+        router: router,
 
         enablePageCache: () => pageCache.enable(),
         disablePageCache: () => pageCache.disable(),
@@ -1085,6 +4201,21 @@
         disableFileCache: () => fileCache.disable(),
         clearFileCache: () => fileCache.clear(),
 
+        cache: {
+            stats: () => ({ files: fileCache.stats(), pages: pageCache.stats() }),
+            clear: () => { fileCache.clear(); pageCache.clear(); }
+        },
+
+        interceptRequest: interceptor => network.intercept('request', interceptor),
+        interceptResponse: interceptor => network.intercept('response', interceptor),
+
+        offline: {
+            precache: filesOrManifest => offlineCache.precache(filesOrManifest),
+            get: url => offlineCache.get(url),
+            clear: () => offlineCache.clear(),
+            serviceWorkerScript: files => offlineCache.serviceWorkerScript(files)
+        },
+
         enableDebug: () => logger.enableDebug(),
         disableDebug: () => logger.disableDebug(),
         setLogLevel: level => logger.setLevel(level),
@@ -1095,25 +4226,75 @@
             return loadComponentIntoElement(el, path, props);
         },
 
+        // Unmounts the components in matching elements and empties them; the elements stay in the page
+        unmount: function(selectorOrElement) {
+            const elements = typeof selectorOrElement === 'string'
+                ? Array.from(document.querySelectorAll(selectorOrElement)) : [selectorOrElement].filter(Boolean);
+            elements.forEach(el => {
+                unmountTree(el, true);
+                el.innerHTML = '';
+                el.removeAttribute('data-component-loaded');
+            });
+            return elements.length;
+        },
+
+        // Timers started from component code are cleared when the component unmounts
+        setTimeout: (callback, delay, ...args) => {
+            const id = setTimeout(callback, delay, ...args);
+            ownByActiveComponent(() => clearTimeout(id));
+            return id;
+        },
+        setInterval: (callback, delay, ...args) => {
+            const id = setInterval(callback, delay, ...args);
+            ownByActiveComponent(() => clearInterval(id));
+            return id;
+        },
+
         _checkNotificationContainer: () => notificationSystem.checkContainerRemoval(),
 
+        configure: options => configure(options),
+        flushUpdates: () => updateScheduler.flush(),
+        _componentScript: (key, factory) => pendingScriptFactories.set(key, factory),
+
         // ===== New Enhanced Features =====
         // State Management
-        createState: (name, initialValue) => stateSystem.create(name, initialValue),
-        getState: (name) => stateSystem.get(name),
-        setState: (name, value) => stateSystem.set(name, value),
-        subscribeState: (name, callback) => stateSystem.subscribe(name, callback),
-        unsubscribeState: (name, callback) => stateSystem.unsubscribe(name, callback),
+        createState: (name, initialValue, options) => stateSystem.create(name, initialValue, options),
+        stateReady: (name) => statePersistence.ready(name),
+        getState: (path) => stateSystem.get(path),
+        setState: (path, value) => stateSystem.set(path, value),
+        updateState: (path, updater) => stateSystem.update(path, updater),
+        pushState: (path, ...items) => stateSystem.push(path, ...items),
+        spliceState: (path, start, deleteCount, ...items) => stateSystem.splice(path, start, deleteCount, ...items),
+        subscribeState: (path, callback) => {
+            stateSystem.subscribe(path, callback);
+            ownByActiveComponent(() => stateSystem.unsubscribe(path, callback));
+        },
+        unsubscribeState: (path, callback) => stateSystem.unsubscribe(path, callback),
         bindState: (selector, stateName, property) => stateSystem.bind(selector, stateName, property),
 
+        // State History
+        history: stateHistory,
+
         // Computed State
         computedState: (name, deps, computeFn) => stateSystem.computed(name, deps, computeFn),
 
         // Component Events
         emitEvent: (eventName, data, source) => componentEvents.emit(eventName, data, source),
-        onEvent: (eventName, callback) => componentEvents.on(eventName, callback),
+        onEvent: (eventName, callback) => {
+            componentEvents.on(eventName, callback);
+            ownByActiveComponent(() => componentEvents.off(eventName, callback));
+        },
         offEvent: (eventName, callback) => componentEvents.off(eventName, callback),
 
+        // Custom Elements
+        defineElement: defineElement,
+
+        // Data Fetching
+        refetch: function(selectorOrElement) {
+            const el = typeof selectorOrElement === 'string' ? document.querySelector(selectorOrElement) : selectorOrElement;
+            return el ? dataFetching.refetch(el) : Promise.resolve();
+        },
+
         // Lifecycle Hooks
         addLifecycleHook: (componentPath, hookName, callback) => lifecycleHooks.add(componentPath, hookName, callback),
 
@@ -1130,6 +4311,7 @@
 
         // Enhanced Template Processing
         processTemplate: (template, props, state) => processTemplate(template, props, state),
+        registerFilter: (name, fn) => templateEngine.registerFilter(name, fn),
 
         // Batch Operations
         batchLoad: function(components) {
@@ -1144,14 +4326,15 @@
         },
 
         // Component Registry
-        registerComponent: function(name, html) {
-            if (!this._componentRegistry) this._componentRegistry = new Map();
-            this._componentRegistry.set(name, html);
-            logger.log(`Component registered: ${name}`, null, 'REGISTRY');
-        },
-
-        getRegisteredComponent: function(name) {
-            return this._componentRegistry?.get(name);
+        registerComponent: (name, source) => componentRegistry.register(name, source),
+        getRegisteredComponent: (name) => componentRegistry.get(name),
+        registerTemplates: (root = document) => componentRegistry.registerTemplates(root),
+
+        // Component Scripts
+        defineComponent: (path, definition) => defineComponent(path, definition),
+        getComponent: function(selectorOrElement) {
+            const el = typeof selectorOrElement === 'string' ? document.querySelector(selectorOrElement) : selectorOrElement;
+            return el ? componentInstances.get(el) || null : null;
         },
 
         // Animation Helpers